@@ -0,0 +1,118 @@
+/**
+ * Category tagging for read-later-podcast
+ * Scores an article against the taxonomy in config.categories and keeps every
+ * category that scores well, with an optional LLM pass when none does
+ */
+
+import { config } from './config.js';
+import { callClaude, hasLlmKey } from './llm.js';
+
+// Mentions of one keyword that count toward a score (long articles repeat words)
+const MAX_MENTIONS = 3;
+const TITLE_MULTIPLIER = 2;
+
+const patterns = new Map();
+
+/**
+ * Whole-word, case-insensitive pattern for a keyword, allowing a plural
+ */
+function keywordPattern(term) {
+  if (!patterns.has(term)) {
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/[\s-]+/g, '[\\s-]+');
+    patterns.set(term, new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?:s|es)?(?![\\p{L}\\p{N}])`, 'giu'));
+  }
+  return patterns.get(term);
+}
+
+function countMentions(text, term) {
+  return Math.min((text.match(keywordPattern(term)) || []).length, MAX_MENTIONS);
+}
+
+/**
+ * Keyword score of every category with at least one match, best first
+ * (ties keep taxonomy order)
+ * @returns {Object[]} [{ name, score }]
+ */
+export function scoreCategories(text, title = '') {
+  const scores = [];
+  for (const [name, { keywords }] of Object.entries(config.categories)) {
+    let score = 0;
+    for (const [term, weight] of Object.entries(keywords)) {
+      score += weight * (countMentions(text, term) + TITLE_MULTIPLIER * countMentions(title, term));
+    }
+    if (score > 0) scores.push({ name, score });
+  }
+  return scores.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Turn scores into tags: at least tagging.minScore, close enough to the best, at most tagging.maxTags
+ * @returns {Object[]} [{ name, score, source: 'keywords' }]
+ */
+export function pickTags(scores) {
+  const { minScore, relativeScore, maxTags } = config.tagging;
+  const best = scores[0]?.score || 0;
+  return scores
+    .filter(({ score }) => score >= minScore && score >= best * relativeScore)
+    .slice(0, maxTags)
+    .map(({ name, score }) => ({ name, score, source: 'keywords' }));
+}
+
+/**
+ * Ask the LLM to pick categories from the taxonomy
+ * @returns {Promise<string[]>} Category names, most relevant first
+ */
+async function classifyWithLlm(article) {
+  const names = Object.keys(config.categories);
+  const prompt = `Which of these categories fit the article below? Pick 1 to ${config.tagging.maxTags}, most relevant first, and only from the list. Reply with a JSON array of names and nothing else, or [] if none fit.
+
+CATEGORIES: ${JSON.stringify(names)}
+
+TITLE: ${article.title}
+
+ARTICLE (opening):
+${(article.content || '').slice(0, 3000)}`;
+
+  const reply = await callClaude(prompt, { maxTokens: 100, temperature: 0 });
+  const match = reply.match(/\[[\s\S]*?\]/);
+  if (!match) return [];
+
+  const byLowerName = new Map(names.map(name => [name.toLowerCase(), name]));
+  const picked = JSON.parse(match[0])
+    .map(name => byLowerName.get(String(name).trim().toLowerCase()))
+    .filter(Boolean);
+  return [...new Set(picked)].slice(0, config.tagging.maxTags);
+}
+
+/**
+ * Tag an article
+ * Keyword scores first; if no category reaches tagging.minScore, the LLM picks
+ * (when enabled and a key is set), then tagging.fallbackCategory
+ * @returns {Promise<Object>} { tags: [{ name, score, source }], method: 'keywords' | 'llm' | 'fallback' | 'none' }
+ */
+export async function categorize(article) {
+  const tags = pickTags(scoreCategories(article.content || '', article.title || ''));
+  if (tags.length > 0) return { tags, method: 'keywords' };
+
+  if (config.tagging.llmFallback && hasLlmKey()) {
+    try {
+      const names = await classifyWithLlm(article);
+      if (names.length > 0) {
+        return { tags: names.map(name => ({ name, score: null, source: 'llm' })), method: 'llm' };
+      }
+    } catch (error) {
+      console.warn(`  ⚠️ LLM categorization failed: ${error.message}`);
+    }
+  }
+
+  const fallback = config.tagging.fallbackCategory;
+  return fallback
+    ? { tags: [{ name: fallback, score: null, source: 'fallback' }], method: 'fallback' }
+    : { tags: [], method: 'none' };
+}
+
+export default {
+  scoreCategories,
+  pickTags,
+  categorize,
+};
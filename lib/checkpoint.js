@@ -0,0 +1,161 @@
+/**
+ * Per-episode stage checkpoints for read-later-podcast
+ * Each episode gets a directory holding the output of every completed stage,
+ * so a rerun picks up where the last one stopped instead of starting over
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync, rmSync, renameSync } from 'fs';
+import { join, resolve } from 'path';
+import { createHash } from 'crypto';
+import { config } from './config.js';
+
+// Stages whose output is saved, in pipeline order, with the file that holds it
+const STAGE_FILES = {
+  fetch: 'article.json',
+  expand: 'expanded.json',
+  script: 'script.json',
+  audio: null,   // segments/ plus podcastPath in state.json
+  upload: null,  // podcastUrl in state.json
+};
+
+/**
+ * Stable key for a source, used as the episode directory name
+ */
+export function episodeKey(source) {
+  // EPUB chapters of the same book are separate episodes
+  const local = source.path && [source.path, source.chapter].filter(Boolean).join('#');
+  // A series recap queued with its video list is a new episode when the list changes
+  const videos = source.collection?.videos?.map(video => video.videoId).join(',');
+  const id = [source.url, videos].filter(Boolean).join('#') || local || source.notionPageId;
+  return createHash('sha1').update(String(id)).digest('hex').slice(0, 16);
+}
+
+function readJson(path) {
+  return JSON.parse(readFileSync(path, 'utf-8'));
+}
+
+function writeJson(path, data) {
+  // Write then rename so a crash never leaves a half-written checkpoint
+  writeFileSync(`${path}.tmp`, JSON.stringify(data, null, 2));
+  renameSync(`${path}.tmp`, path);
+}
+
+/**
+ * Open (or create) the checkpoint directory for a source
+ * @param {Object} source - Pipeline source item
+ * @param {Object} options
+ * @param {string[]} options.stages - Pipeline stage names, in order
+ * @param {string} [options.fromStage] - Discard this stage and everything after it
+ * @param {string} [options.dir] - Base directory (default: config.output.checkpointDir)
+ */
+export function openCheckpoint(source, options = {}) {
+  const order = options.stages;
+  const key = episodeKey(source);
+  const dir = resolve(options.dir || config.output.checkpointDir, key);
+  const statePath = join(dir, 'state.json');
+  const segmentsDir = join(dir, 'segments');
+
+  mkdirSync(dir, { recursive: true });
+
+  const state = existsSync(statePath)
+    ? readJson(statePath)
+    : { key, source, completed: {} };
+
+  const saveState = () => writeJson(statePath, state);
+
+  /**
+   * Drop the saved output of every stage from `stage` onwards
+   */
+  const invalidateFrom = (stage) => {
+    const start = order.indexOf(stage);
+    if (start === -1) return;
+    for (const name of order.slice(start)) {
+      delete state.completed[name];
+      if (STAGE_FILES[name]) {
+        rmSync(join(dir, STAGE_FILES[name]), { force: true });
+      }
+    }
+    if (start <= order.indexOf('audio')) {
+      rmSync(segmentsDir, { recursive: true, force: true });
+      delete state.podcastPath;
+    }
+    if (start <= order.indexOf('upload')) {
+      delete state.podcastUrl;
+    }
+    saveState();
+  };
+
+  if (options.fromStage) {
+    if (!order.includes(options.fromStage)) {
+      throw new Error(`Unknown stage "${options.fromStage}" (expected one of: ${order.join(', ')})`);
+    }
+    invalidateFrom(options.fromStage);
+  } else {
+    saveState();
+  }
+
+  return {
+    key,
+    dir,
+    segmentsDir,
+
+    /**
+     * Whether a stage finished in an earlier run
+     */
+    has(stage) {
+      if (!state.completed[stage]) return false;
+      if (STAGE_FILES[stage]) return existsSync(join(dir, STAGE_FILES[stage]));
+      if (stage === 'audio') return Boolean(state.podcastPath && existsSync(state.podcastPath));
+      return true;
+    },
+
+    /**
+     * Load a stage's saved output
+     */
+    load(stage) {
+      return readJson(join(dir, STAGE_FILES[stage]));
+    },
+
+    /**
+     * Record a stage as complete; everything after it is now stale
+     * @param {string} stage - Stage name
+     * @param {*} [data] - Output to save (for stages that have a file)
+     */
+    save(stage, data) {
+      invalidateFrom(order[order.indexOf(stage) + 1]);
+      if (STAGE_FILES[stage]) {
+        writeJson(join(dir, STAGE_FILES[stage]), data);
+      }
+      state.completed[stage] = new Date().toISOString();
+      saveState();
+    },
+
+    /**
+     * Drop a stage's saved output (and everything after it) so the next run redoes it
+     */
+    discard(stage) {
+      invalidateFrom(stage);
+    },
+
+    get(field) {
+      return state[field];
+    },
+
+    set(field, value) {
+      state[field] = value;
+      saveState();
+    },
+
+    /**
+     * Remove rendered segments once the episode is finished
+     */
+    clearSegments() {
+      rmSync(segmentsDir, { recursive: true, force: true });
+    },
+  };
+}
+
+export default {
+  episodeKey,
+  openCheckpoint,
+};
@@ -0,0 +1,90 @@
+/**
+ * Playlist and channel sources for read-later-podcast
+ * A YouTube playlist or channel URL is listed up front and becomes either one
+ * source per video ("each") or a single series recap source ("recap")
+ */
+
+import { config } from './config.js';
+import { isYouTubeCollectionUrl, listYouTubeCollection } from './youtube.js';
+import { canonicalizeUrl } from './urls.js';
+import * as notion from './notion.js';
+
+export const COLLECTION_MODES = ['each', 'recap'];
+
+/**
+ * Whether a source is a playlist or channel rather than a single page or video
+ */
+export function isCollectionSource(source) {
+  return Boolean(source.url) && isYouTubeCollectionUrl(source.url);
+}
+
+/**
+ * Collection settings for a source: its own (set by the request) over config.youtube.collections
+ * @returns {Object} { mode, maxItems, sinceDays }
+ */
+export function collectionOptions(source) {
+  const options = { ...config.youtube.collections, ...(source.collection || {}) };
+  if (!COLLECTION_MODES.includes(options.mode)) {
+    throw new Error(`Unknown collection mode "${options.mode}" (use ${COLLECTION_MODES.join(' or ')})`);
+  }
+  if (!(Number.isInteger(options.maxItems) && options.maxItems > 0)) {
+    throw new Error('maxItems must be a positive whole number');
+  }
+  if (options.sinceDays !== null && !(Number(options.sinceDays) > 0)) {
+    throw new Error('sinceDays must be a positive number of days');
+  }
+  return options;
+}
+
+/**
+ * Turn a source into the sources to queue
+ * Anything but a playlist or channel comes back as-is. "each" returns one source
+ * per listed video; for a Notion row every video gets its own new row (so its
+ * episode link has somewhere to go) and the playlist row is marked Complete.
+ * "recap" returns the one source with the listed videos attached, so the
+ * episode covers exactly what was listed when it was queued.
+ * @returns {Promise<Object[]>}
+ */
+export async function expandSource(source) {
+  if (!isCollectionSource(source)) return [source];
+
+  const options = collectionOptions(source);
+  const listing = await listYouTubeCollection(source.url, options);
+  console.log(`📺 ${listing.title}: ${listing.items.length} video(s)`);
+  if (listing.items.length === 0) {
+    throw new Error('No videos in this playlist or channel match the filters');
+  }
+
+  if (options.mode === 'recap') {
+    return [{
+      ...source,
+      title: source.title || listing.title,
+      collection: { ...options, title: listing.title, channel: listing.channel, videos: listing.items },
+    }];
+  }
+
+  const videos = listing.items.map(item => ({
+    url: item.url,
+    title: item.title,
+    ...(source.categories?.length ? { categories: source.categories } : {}),
+  }));
+  if (!source.notionPageId) return videos;
+
+  const saved = new Set((await notion.getAllUrls()).map(canonicalizeUrl));
+  const rows = [];
+  for (const video of videos) {
+    if (saved.has(canonicalizeUrl(video.url))) continue;
+    const notionPageId = await notion.createArticle({ ...video, categories: source.categories || [] });
+    rows.push({ ...video, notionPageId });
+  }
+  await notion.markComplete(source.notionPageId, { title: listing.title });
+  console.log(`  Added ${rows.length} Notion row(s), ${videos.length - rows.length} already saved`);
+  return rows;
+}
+
+export default {
+  COLLECTION_MODES,
+  isCollectionSource,
+  collectionOptions,
+  expandSource,
+};
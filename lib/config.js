@@ -15,6 +15,29 @@ export const config = {
     targetPodcastMinutes: 15,
     maxPodcastMinutes: 25,
     wordsPerMinute: 150, // Spoken word rate
+    maxPages: 10, // Pages followed for articles split across ?page=N, /slug/N/ or rel="next"
+    // Sources longer than maxDirectChars are summarized in chunks and merged into an outline
+    longSource: {
+      maxDirectChars: 24000, // Sent to the script prompt as-is up to this length
+      chunkChars: 12000,     // Size of each summarized chunk
+    },
+    // "summarize" script format (podcast highlight reels): episode length is this share of
+    // the source (after ads are removed), kept between minMinutes and maxMinutes
+    summarize: {
+      compressionRatio: 0.25,
+      minMinutes: 2,
+      maxMinutes: 3,
+    },
+    // Gate that rejects junk pages (bot checks, login/paywalls, cookie banners) before expansion
+    quality: {
+      enabled: true,
+      minWords: 80,              // Less than this is never an article
+      boilerplateMaxWords: 400,  // Boilerplate phrases only reject pages shorter than this
+      minSentences: 5,
+      maxWordsPerSentence: 60,   // Higher means lists of links and labels, not prose
+      maxShortLineShare: 0.6,    // Share of 1-3 word lines (menus, tag clouds)
+      maxRepeatedLineShare: 0.3, // Share of lines that appear more than once
+    },
   },
 
   // Voice configuration
@@ -23,6 +46,64 @@ export const config = {
     guest: 'af_sarah',      // Conversational female
   },
 
+  // HTTP fetching (articles, PDFs, feeds)
+  http: {
+    timeoutMs: 30000,              // Per attempt, redirects included
+    maxBytes: 50 * 1024 * 1024,    // Largest body accepted, after decompression
+    maxRedirects: 5,
+    retries: 2,                    // Extra attempts for timeouts, network errors, 429 and 5xx
+    userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36',
+  },
+
+  // Outbound URL checks (SSRF protection)
+  // Hosts may be names, "*.example.com" wildcards, or IPs/CIDRs
+  urlSafety: {
+    allowPrivateNetworks: false, // true fetches loopback/private/link-local targets too
+    allowHosts: [],              // Fetched even when they resolve to a private address
+    denyHosts: [],               // Never fetched
+  },
+
+  // YouTube transcripts
+  youtube: {
+    sectionMinutes: 5, // Videos without chapters are split into parts this long
+    // Caption tracks: human-written ones in this language order first, then auto-generated
+    subtitles: {
+      languages: ['en', 'es', 'fr', 'de', 'pt', 'it', 'nl', 'ja', 'ko', 'zh'],
+      translate: true, // Translate non-English transcripts to English (LLM) before script writing
+    },
+    // Playlist and channel URLs
+    collections: {
+      mode: 'each',             // 'each' queues every video as its own episode; 'recap' makes one series recap episode
+      maxItems: 10,             // Videos taken from the top of the listing (newest first for channels)
+      sinceDays: null,          // Skip videos published longer ago than this (null keeps all)
+      recapWordsPerVideo: 4000, // Transcript words kept per video in a recap
+    },
+  },
+
+  // Podcast episodes (downloaded, transcribed locally, condensed into a highlight reel)
+  podcast: {
+    scriptFormat: 'summarize',         // 'summarize' (highlight reel) or 'discussion' (the usual deep dive)
+    removeAds: true,                   // Drop ads, sponsor reads, intros and outros before script writing
+    translate: true,                   // Translate non-English episodes to English (LLM)
+    maxAudioBytes: 300 * 1024 * 1024,  // Largest RSS enclosure or audio file downloaded
+    downloadTimeoutMs: 10 * 60 * 1000,
+    // Local speech-to-text (whisper.cpp, CPU); use a multilingual model for 'auto'
+    whisper: {
+      binary: process.env.WHISPER_CPP_PATH || 'whisper-cli',
+      model: process.env.WHISPER_MODEL || './models/ggml-base.bin',
+      threads: 4,
+      language: 'auto',  // Spoken language code, or 'auto' to detect it
+      timeoutMinutes: 120,
+    },
+  },
+
+  // Speech synthesis (edge-tts)
+  tts: {
+    concurrency: 4,           // Segments rendered in parallel
+    segmentTimeoutMs: 120000, // Per-segment edge-tts timeout
+    retries: 2,               // Extra attempts per segment before failing the episode
+  },
+
   // Audio settings
   audio: {
     crossfadeMs: 400,
@@ -31,25 +112,60 @@ export const config = {
     backgroundVolume: 0.1,
   },
 
-  // Categories for auto-detection
-  categories: [
-    'Technology',
-    'AI',
-    'Finance',
-    'Parenting',
-    'Self Improvement',
-    'Science',
-    'Health',
-    'Business',
-    'Culture',
-    'Programming',
-    'Productivity',
-  ],
+  // Category taxonomy for auto-tagging
+  // Each keyword (whole word, plural too) scores its weight per mention, up to
+  // 3 mentions, doubled in the title. Categories are tried in this order on ties.
+  categories: {
+    'AI': { keywords: { 'artificial intelligence': 3, 'machine learning': 3, 'neural network': 3, 'deep learning': 3, 'llm': 3, 'large language model': 3, 'gpt': 2, 'chatgpt': 3, 'claude': 2, 'ai': 1 } },
+    'Technology': { keywords: { 'software': 1, 'hardware': 1, 'tech': 1, 'technology': 1, 'startup': 1, 'silicon valley': 2, 'smartphone': 2, 'gadget': 2, 'cloud': 1 } },
+    'Programming': { keywords: { 'javascript': 3, 'typescript': 3, 'python': 2, 'react': 2, 'api': 1, 'database': 2, 'github': 2, 'coding': 2, 'programming': 3, 'developer': 1, 'compiler': 3, 'code': 1 } },
+    'Finance': { keywords: { 'investing': 3, 'investor': 2, 'stock': 2, 'market': 1, 'finance': 2, 'money': 1, 'wealth': 2, 'portfolio': 2, 'crypto': 2, 'bitcoin': 3, 'economy': 2, 'inflation': 2, 'interest rate': 3 } },
+    'Business': { keywords: { 'business': 1, 'entrepreneur': 2, 'company': 1, 'ceo': 2, 'founder': 2, 'strategy': 1, 'management': 1, 'leadership': 2, 'revenue': 2, 'customer': 1 } },
+    'Parenting': { keywords: { 'parenting': 3, 'parent': 2, 'child': 1, 'kid': 1, 'baby': 2, 'toddler': 3, 'teenager': 2, 'raising': 1, 'family': 1 } },
+    'Self Improvement': { keywords: { 'self-help': 3, 'self improvement': 3, 'motivation': 2, 'mindset': 2, 'habit': 2, 'personal development': 3, 'goal': 1, 'discipline': 1 } },
+    'Productivity': { keywords: { 'productivity': 3, 'productive': 2, 'time management': 3, 'deep work': 3, 'to-do list': 3, 'procrastination': 3, 'workflow': 2, 'focus': 1, 'getting things done': 3 } },
+    'Science': { keywords: { 'research': 1, 'study': 1, 'scientist': 2, 'experiment': 2, 'discovery': 1, 'physics': 3, 'biology': 3, 'chemistry': 3, 'astronomy': 3, 'evolution': 2 } },
+    'Health': { keywords: { 'health': 2, 'medical': 2, 'doctor': 2, 'wellness': 2, 'fitness': 2, 'exercise': 2, 'diet': 2, 'mental health': 3, 'sleep': 1, 'nutrition': 3 } },
+    'Culture': { keywords: { 'culture': 2, 'art': 1, 'music': 2, 'film': 2, 'book': 1, 'novel': 2, 'entertainment': 2, 'creative': 1, 'museum': 2 } },
+  },
+
+  // Auto-tagging settings (categories above)
+  tagging: {
+    maxTags: 3,
+    minScore: 4,             // Weakest keyword score that counts as a tag
+    relativeScore: 0.5,      // Extra tags need at least this share of the best tag's score
+    llmFallback: true,       // Ask the LLM when no category reaches minScore
+    fallbackCategory: null,  // Used when nothing matches (null leaves the article untagged)
+  },
 
   // Output
   output: {
     dir: './output',
     format: 'mp3',
+    checkpointDir: './output/episodes', // Per-episode stage outputs for resume
+  },
+
+  // Episode library (duplicate detection)
+  library: {
+    path: './output/library.json', // Finished episodes by canonical URL and content fingerprint
+    maxFingerprintDistance: 3,     // SimHash bits two texts may differ by and still be the same article
+  },
+
+  // Job queue (server)
+  queue: {
+    logPath: './output/jobs.jsonl', // Append-only job log
+    concurrency: 1,                 // Episodes rendered at once
+    maxAttempts: 2,                 // Tries per job before it is marked failed
+    retryDelaySeconds: 60,          // Wait before a retry, doubled for each one after
+  },
+
+  // RSS/Atom subscriptions (newsletters, blogs, Substack)
+  // Each entry: { url, keywords?, excludeKeywords?, minWords?, categories?, backfill? }
+  feeds: {
+    subscriptions: [],
+    seenPath: './output/feeds-seen.json', // Entry IDs already handed to the pipeline
+    pollMinutes: 60,                      // Server poll interval; 0 disables polling
+    backfill: 3,                          // Entries taken from a feed on its first poll
   },
 
   // infsh CLI path
@@ -2,116 +2,231 @@
  * Content fetching and expansion for read-later-podcast
  */
 
-import { execSync } from 'child_process';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { parse as parseHtml } from 'node-html-parser';
 import { config } from './config.js';
-import { isYouTubeUrl, fetchYouTubeTranscript } from './youtube.js';
+import { isYouTubeUrl, isYouTubeCollectionUrl, fetchYouTubeTranscript, fetchYouTubeSeries } from './youtube.js';
+import { extractReadable, formatOutline } from './readability.js';
+import { extractMetadata } from './metadata.js';
+import { isPdfUrl, extractPdf } from './pdf.js';
+import { fetchUrl } from './http.js';
+import { scoreCategories, pickTags } from './categorize.js';
+import { isPodcastUrl, fetchPodcastEpisode } from './podcasts.js';
+
+const execFileAsync = promisify(execFile);
+
+// inference.sh app used for research expansion
+const RESEARCH_APP = 'openrouter/claude-sonnet-45';
+
+const ACCEPT = 'text/html,application/xhtml+xml,application/pdf;q=0.9,*/*;q=0.8';
+
+// Query parameters sites use for article pagination
+// (not ?p= - WordPress uses that for post IDs)
+const PAGE_PARAMS = ['page', 'pg', 'pagenum'];
+
+// Page number at the end of a path: /page/3, or /some-slug/3/ as WordPress
+// <!--nextpage--> posts use. The segment before a bare number must look like a
+// slug (letters and a hyphen) so /news/123 and /2026/05 aren't read as pages.
+const PAGE_SEGMENT = /\/page\/(\d+)\/?$/;
+const SLUG_PAGE = /(\/(?=[\w-]*[a-z])[\w-]*-[\w-]*)\/(\d{1,3})\/?$/i;
 
 /**
- * Fetch content from URL (article or YouTube)
- * Automatically detects YouTube URLs and extracts transcript
+ * Fetch content from URL (article, PDF, YouTube or podcast episode)
+ * Automatically detects YouTube URLs and extracts transcript; PDFs are
+ * detected by Content-Type or extension and run through pdftotext.
+ * Articles split across pages are followed and stitched together.
+ * A YouTube playlist or channel becomes one series recap of its videos.
+ * Podcast episodes (episode pages, audio files, RSS enclosures) are
+ * downloaded and transcribed locally.
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {Object} [options.collection] - Playlist/channel settings ({ maxItems, sinceDays, videos })
+ * @param {string} [options.audioUrl] - RSS enclosure of a podcast episode
+ * @param {string} [options.title] - Episode title from the feed
  */
-export async function fetchArticle(url) {
+export async function fetchArticle(url, options = {}) {
+  if (options.audioUrl || isPodcastUrl(url)) {
+    console.log(`Fetching podcast episode: ${url}`);
+    return await fetchPodcastEpisode({ url, audioUrl: options.audioUrl, title: options.title });
+  }
+  
   // Check if YouTube URL
   if (isYouTubeUrl(url)) {
     console.log(`Fetching YouTube video: ${url}`);
     return await fetchYouTubeTranscript(url);
   }
   
+  if (isYouTubeCollectionUrl(url)) {
+    console.log(`Fetching YouTube playlist/channel: ${url}`);
+    return await fetchYouTubeSeries(url, options.collection);
+  }
+  
   console.log(`Fetching article: ${url}`);
   
-  try {
-    // First try: direct fetch
-    const response = await fetch(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36',
-        'Accept': 'text/html,application/xhtml+xml',
-      },
-    });
+  // Audio is told apart by its headers and downloaded under the podcast size and time limits
+  const isAudio = (contentType) => contentType.startsWith('audio/');
+  const page = await fetchUrl(url, { accept: ACCEPT, skipBody: isAudio });
+  
+  if (isAudio(page.contentType)) {
+    console.log('  Detected audio');
+    return await fetchPodcastEpisode({ url, audioUrl: page.url });
+  }
+  
+  if (page.contentType.includes('application/pdf') || isPdfUrl(page.url) ||
+      page.body.subarray(0, 5).toString('latin1') === '%PDF-') {
+    console.log('  Detected PDF');
+    return await extractPdf(page.body, url);
+  }
+  
+  const html = page.text();
+  const article = buildArticle(url, html, page.url);
+  
+  return await appendFollowingPages(article, html, page.url);
+}
+
+/**
+ * Follow rel="next", ?page=N and /slug/N/ links and stitch the pages into one article
+ * Capped at config.content.maxPages; never revisits a URL or leaves the article
+ */
+async function appendFollowingPages(article, firstHtml, firstUrl) {
+  const visited = new Set([normalizePageUrl(article.url), normalizePageUrl(firstUrl)]);
+  const seenContent = new Set([article.content]);
+  const parts = [article.content];
+  const blocks = [...(article.blocks || [])];
+  
+  let html = firstHtml;
+  let pageUrl = firstUrl;
+  
+  while (parts.length < config.content.maxPages) {
+    const nextUrl = findNextPageUrl(html, pageUrl, firstUrl);
+    if (!nextUrl || visited.has(normalizePageUrl(nextUrl))) break;
+    visited.add(normalizePageUrl(nextUrl));
     
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    console.log(`  Following page ${parts.length + 1}: ${nextUrl}`);
+    try {
+      const page = await fetchUrl(nextUrl, { accept: ACCEPT });
+      html = page.text();
+    } catch (error) {
+      console.warn(`  Could not fetch page ${parts.length + 1}, stopping: ${error.message}`);
+      break;
     }
     
-    const html = await response.text();
-    
-    // Extract readable content (basic extraction)
-    const content = extractReadableContent(html);
-    const title = extractTitle(html);
-    
-    return {
-      url,
-      title,
-      content,
-      wordCount: countWords(content),
-      fetchedAt: new Date().toISOString(),
-    };
-  } catch (error) {
-    console.log(`  Direct fetch failed, trying with curl...`);
+    // Sites often serve the last page again for out-of-range page numbers
+    const { text: pageContent, blocks: pageBlocks } = extractReadable(html);
+    if (!pageContent || seenContent.has(pageContent)) break;
+    seenContent.add(pageContent);
     
-    // Fallback: use curl with better headers
-    try {
-      const html = execSync(
-        `curl -sL -H "User-Agent: Mozilla/5.0" "${url}"`,
-        { encoding: 'utf-8', timeout: 30000, maxBuffer: 10 * 1024 * 1024 }
-      );
-      
-      const content = extractReadableContent(html);
-      const title = extractTitle(html);
-      
-      return {
-        url,
-        title,
-        content,
-        wordCount: countWords(content),
-        fetchedAt: new Date().toISOString(),
-      };
-    } catch (curlError) {
-      console.error(`Failed to fetch ${url}:`, error.message, curlError.message);
-      throw new Error('fetch failed');
-    }
+    parts.push(pageContent);
+    blocks.push(...pageBlocks);
+    pageUrl = nextUrl;
   }
+  
+  if (parts.length === 1) return article;
+  
+  const content = parts.join('\n\n');
+  console.log(`  Stitched ${parts.length} pages`);
+  
+  return {
+    ...article,
+    content,
+    blocks,
+    wordCount: countWords(content),
+    pageCount: parts.length,
+  };
 }
 
 /**
- * Extract readable content from HTML
+ * URL without fragment or trailing slash, for loop detection
  */
-function extractReadableContent(html) {
-  // Remove scripts, styles, and HTML tags
-  let text = html
-    .replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '')
-    .replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '')
-    .replace(/<nav[^>]*>[\s\S]*?<\/nav>/gi, '')
-    .replace(/<header[^>]*>[\s\S]*?<\/header>/gi, '')
-    .replace(/<footer[^>]*>[\s\S]*?<\/footer>/gi, '')
-    .replace(/<aside[^>]*>[\s\S]*?<\/aside>/gi, '')
-    .replace(/<[^>]+>/g, ' ')
-    .replace(/&nbsp;/g, ' ')
-    .replace(/&amp;/g, '&')
-    .replace(/&lt;/g, '<')
-    .replace(/&gt;/g, '>')
-    .replace(/&quot;/g, '"')
-    .replace(/&#39;/g, "'")
-    .replace(/\s+/g, ' ')
-    .trim();
-  
-  return text;
+function normalizePageUrl(url) {
+  const parsed = new URL(url);
+  parsed.hash = '';
+  return parsed.toString().replace(/\/$/, '');
 }
 
 /**
- * Extract title from HTML
+ * Page number a URL points at (?page=3, ?pg=3, ?pagenum=3, /page/3, /some-slug/3; 1 if none)
+ * @param {URL} parsed
  */
-function extractTitle(html) {
-  const titleMatch = html.match(/<title[^>]*>([^<]+)<\/title>/i);
-  if (titleMatch) {
-    return titleMatch[1].trim();
+export function pageNumber(parsed) {
+  for (const param of PAGE_PARAMS) {
+    const value = parsed.searchParams.get(param);
+    if (value && /^\d+$/.test(value)) return Number(value);
   }
+  const pageMatch = parsed.pathname.match(PAGE_SEGMENT);
+  if (pageMatch) return Number(pageMatch[1]);
+  const slugMatch = parsed.pathname.match(SLUG_PAGE);
+  return slugMatch ? Number(slugMatch[2]) : 1;
+}
+
+/**
+ * Path of the article with any /page/N or /some-slug/N page suffix removed
+ */
+function articlePath(parsed) {
+  return parsed.pathname.replace(PAGE_SEGMENT, '').replace(SLUG_PAGE, '$1').replace(/\/$/, '');
+}
+
+/**
+ * Find the link to the next page of the same article
+ * @param {string} html - Current page HTML
+ * @param {string} pageUrl - Current page URL
+ * @param {string} firstUrl - URL of page one (links must stay within this article)
+ * @returns {string|null}
+ */
+export function findNextPageUrl(html, pageUrl, firstUrl) {
+  const root = parseHtml(html);
+  const current = new URL(pageUrl);
+  const first = new URL(firstUrl);
+  const wanted = pageNumber(current) + 1;
   
-  const h1Match = html.match(/<h1[^>]*>([^<]+)<\/h1>/i);
-  if (h1Match) {
-    return h1Match[1].trim();
-  }
+  const resolve = (href) => {
+    try {
+      return new URL(href, pageUrl);
+    } catch (e) {
+      return null;
+    }
+  };
+  
+  // Same site and same article path - guards against "next post" links
+  const sameArticle = (candidate) =>
+    candidate.host === first.host && articlePath(candidate) === articlePath(first);
   
-  return 'Untitled Article';
+  const relNext = root.querySelectorAll('link[rel~="next"], a[rel~="next"]')
+    .map(el => resolve(el.getAttribute('href')))
+    .find(candidate => candidate && sameArticle(candidate));
+  if (relNext) return relNext.toString();
+  
+  const numbered = root.querySelectorAll('a[href]')
+    .map(el => resolve(el.getAttribute('href')))
+    .find(candidate => candidate && sameArticle(candidate) && pageNumber(candidate) === wanted);
+  return numbered ? numbered.toString() : null;
+}
+
+/**
+ * Build the article object from a fetched HTML page (or a feed entry's full text)
+ * @param {string} url - URL that was requested
+ * @param {string} html - Page HTML
+ * @param {string} [pageUrl] - URL after redirects (base for relative links)
+ */
+export function buildArticle(url, html, pageUrl = url) {
+  const { text: content, blocks } = extractReadable(html);
+  const metadata = extractMetadata(html, pageUrl);
+  
+  return {
+    url,
+    title: metadata.title,
+    author: metadata.author,
+    publisher: metadata.publisher,
+    publishedAt: metadata.publishedAt,
+    image: metadata.image,
+    canonicalUrl: metadata.canonicalUrl,
+    description: metadata.description,
+    content,
+    blocks,
+    wordCount: countWords(content),
+    fetchedAt: new Date().toISOString(),
+  };
 }
 
 /**
@@ -130,12 +245,20 @@ export function needsExpansion(wordCount) {
 
 /**
  * Research and expand content on a topic
- * Uses Claude to generate supplementary content based on the topic
+ * Asks Claude for supplementary material as separate claims, each with a
+ * confidence and a source when one is known. The research is kept apart from
+ * the article text (article.research) so the script and show notes can say
+ * what came from the author and what didn't.
+ * @returns {Object} Article with research: { model, generatedAt, items: [{ claim, detail, section, confidence, source }] }
  */
 export async function expandContent(article, targetWords) {
   console.log(`Expanding content: ${article.title} (${article.wordCount} → ${targetWords} words)`);
   
   const neededWords = targetWords - article.wordCount;
+  const outline = formatOutline(article.blocks);
+  const sectionGuide = outline
+    ? `"section": the heading of the article section it adds to, exactly as written below, or null for wider context\n\nThe article's sections:\n${outline}`
+    : '"section": null';
   
   // Use infsh to call Claude for research
   const prompt = `You are a research assistant. Based on this article excerpt, provide additional context, recent developments, and interesting facts that would enhance a podcast discussion.
@@ -144,28 +267,47 @@ Article Title: ${article.title}
 Article Excerpt (first 1000 words):
 ${article.content.slice(0, 5000)}
 
-Provide approximately ${neededWords} words of supplementary content including:
+Provide approximately ${neededWords} words of supplementary material covering:
 1. Recent developments in this topic (as of early 2026)
 2. Key statistics or data points
-3. Expert opinions or quotes (attributed)
+3. Expert opinions (attributed)
 4. Related trends or implications
 5. Interesting anecdotes or examples
 
-Format as clear paragraphs that can be naturally incorporated into a podcast discussion.`;
+Reply with JSON only, no other text:
+{"items": [{"claim": "...", "detail": "...", "section": ..., "confidence": "...", "source": ...}]}
+
+Each item:
+- "claim": one factual statement, in one sentence
+- "detail": 1-3 sentences of context a podcast host could use
+- ${sectionGuide}
+- "confidence": "high" (well established), "medium" (likely but may be dated) or "low" (uncertain or from memory)
+- "source": the publication, report, organisation or URL it comes from, or null if you can't name one. Never invent a source, a quote or a statistic; leave the source null and lower the confidence instead`;
 
   try {
-    const result = execSync(
-      `${config.infshPath} app run openrouter/claude-sonnet-45 --input '${JSON.stringify({ prompt })}'`,
-      { encoding: 'utf-8', maxBuffer: 10 * 1024 * 1024 }
+    const { stdout } = await execFileAsync(
+      config.infshPath,
+      ['app', 'run', RESEARCH_APP, '--input', JSON.stringify({ prompt })],
+      { encoding: 'utf-8', maxBuffer: 10 * 1024 * 1024, timeout: 300000 }
     );
     
-    const response = JSON.parse(result);
-    const supplementary = response.output || response.result || '';
+    const response = JSON.parse(stdout);
+    const items = parseResearchItems(response.output || response.result || '');
+    if (items.length === 0) {
+      throw new Error('research reply had no usable items');
+    }
+    
+    const researchWords = items.reduce((sum, item) => sum + countWords(`${item.claim} ${item.detail}`), 0);
+    console.log(`  Added ${items.length} researched points (${researchWords} words, model-generated)`);
     
     return {
       ...article,
-      content: article.content + '\n\n--- Additional Research ---\n\n' + supplementary,
-      wordCount: countWords(article.content) + countWords(supplementary),
+      research: {
+        model: RESEARCH_APP,
+        generatedAt: new Date().toISOString(),
+        items,
+      },
+      wordCount: countWords(article.content) + researchWords,
       expanded: true,
     };
   } catch (error) {
@@ -175,36 +317,36 @@ Format as clear paragraphs that can be naturally incorporated into a podcast dis
 }
 
 /**
- * Detect category from content
+ * Pull the research items out of the model's reply (tolerates code fences and stray prose)
  */
-export function detectCategory(content, title) {
-  const text = (title + ' ' + content).toLowerCase();
-  
-  const categoryKeywords = {
-    'AI': ['artificial intelligence', 'machine learning', 'neural network', 'gpt', 'llm', 'chatgpt', 'claude', 'deep learning'],
-    'Technology': ['software', 'hardware', 'tech', 'startup', 'silicon valley', 'programming', 'developer', 'code'],
-    'Finance': ['investing', 'stock', 'market', 'finance', 'money', 'wealth', 'portfolio', 'crypto', 'bitcoin', 'economy'],
-    'Parenting': ['parent', 'child', 'kid', 'family', 'baby', 'toddler', 'teenager', 'raising'],
-    'Self Improvement': ['productivity', 'habit', 'self-help', 'motivation', 'mindset', 'success', 'goal', 'personal development'],
-    'Science': ['research', 'study', 'scientist', 'experiment', 'discovery', 'physics', 'biology', 'chemistry'],
-    'Health': ['health', 'medical', 'doctor', 'wellness', 'fitness', 'exercise', 'diet', 'mental health'],
-    'Business': ['business', 'entrepreneur', 'company', 'ceo', 'founder', 'strategy', 'management', 'leadership'],
-    'Programming': ['javascript', 'python', 'react', 'api', 'database', 'github', 'coding', 'typescript'],
-    'Culture': ['culture', 'art', 'music', 'film', 'book', 'entertainment', 'creative'],
-  };
-  
-  let bestCategory = 'Technology'; // default
-  let bestScore = 0;
-  
-  for (const [category, keywords] of Object.entries(categoryKeywords)) {
-    const score = keywords.filter(kw => text.includes(kw)).length;
-    if (score > bestScore) {
-      bestScore = score;
-      bestCategory = category;
-    }
+function parseResearchItems(reply) {
+  const text = String(reply);
+  const json = text.slice(text.indexOf('{'), text.lastIndexOf('}') + 1);
+  let items;
+  try {
+    items = JSON.parse(json).items;
+  } catch (error) {
+    throw new Error(`research reply was not valid JSON: ${error.message}`);
   }
+  if (!Array.isArray(items)) return [];
   
-  return bestCategory;
+  return items
+    .filter(item => item && typeof item.claim === 'string' && item.claim.trim())
+    .map(item => ({
+      claim: item.claim.trim(),
+      detail: typeof item.detail === 'string' ? item.detail.trim() : '',
+      section: typeof item.section === 'string' && item.section.trim() ? item.section.trim() : null,
+      confidence: ['high', 'medium', 'low'].includes(item.confidence) ? item.confidence : 'low',
+      source: typeof item.source === 'string' && item.source.trim() ? item.source.trim() : null,
+    }));
+}
+
+/**
+ * Best keyword category for some text (see categorize.js for multi-label tagging)
+ * @returns {string|null} Category name, or tagging.fallbackCategory when nothing scores
+ */
+export function detectCategory(content, title) {
+  return pickTags(scoreCategories(content, title))[0]?.name || config.tagging.fallbackCategory;
 }
 
 export default {
@@ -212,4 +354,7 @@ export default {
   needsExpansion,
   expandContent,
   detectCategory,
+  buildArticle,
+  pageNumber,
+  findNextPageUrl,
 };
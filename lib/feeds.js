@@ -0,0 +1,285 @@
+/**
+ * RSS/Atom feed subscriptions for read-later-podcast
+ * Polls configured feeds and hands new entries to the same pipeline as Notion rows
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { XMLParser } from 'fast-xml-parser';
+import { config } from './config.js';
+import { fetchArticle, buildArticle } from './content.js';
+import { scoreCategories, pickTags } from './categorize.js';
+import { extractReadable } from './readability.js';
+import { fetchUrl } from './http.js';
+import { isAudioFileUrl } from './podcasts.js';
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  textNodeName: '#text',
+  parseTagValue: false,
+  htmlEntities: true,
+});
+
+const asArray = (value) => (value === undefined || value === null ? [] : [].concat(value));
+
+/**
+ * Text of an XML node that may be a string or { '#text': ... }
+ */
+function text(node) {
+  if (node === undefined || node === null) return '';
+  if (typeof node === 'object') return String(node['#text'] ?? '').trim();
+  return String(node).trim();
+}
+
+function toIsoDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Link of an Atom entry (rel="alternate" or the first link)
+ */
+function atomLink(links) {
+  const all = asArray(links);
+  const alternate = all.find(link => !link['@_rel'] || link['@_rel'] === 'alternate') || all[0];
+  return alternate ? alternate['@_href'] || text(alternate) : '';
+}
+
+/**
+ * Audio enclosure of an entry (podcast feeds): RSS <enclosure> or Atom <link rel="enclosure">
+ */
+function audioEnclosure(enclosures) {
+  const audio = asArray(enclosures).find(enclosure =>
+    /^audio\//i.test(enclosure['@_type'] || '') || isAudioFileUrl(enclosure['@_url'] || enclosure['@_href'] || ''));
+  return audio ? audio['@_url'] || audio['@_href'] : null;
+}
+
+/**
+ * Parse an RSS 2.0, RSS 1.0 (RDF) or Atom document
+ * url is the entry's page, or its audio when a podcast entry has no page
+ * @returns {Object} { title, items: [{ id, url, title, author, publishedAt, html, summary, audioUrl }] }
+ */
+export function parseFeed(xml) {
+  const doc = parser.parse(xml);
+
+  if (doc.feed) {
+    const feed = doc.feed;
+    return {
+      title: text(feed.title),
+      items: asArray(feed.entry).map(entry => {
+        const audioUrl = audioEnclosure(asArray(entry.link).filter(link => link['@_rel'] === 'enclosure'));
+        const url = atomLink(asArray(entry.link).filter(link => link['@_rel'] !== 'enclosure')) || audioUrl || '';
+        return {
+          id: text(entry.id) || url,
+          url,
+          title: text(entry.title),
+          author: asArray(entry.author).map(author => text(author.name)).filter(Boolean).join(', ') || null,
+          publishedAt: toIsoDate(text(entry.published) || text(entry.updated)),
+          html: text(entry.content) || null,
+          summary: text(entry.summary) || null,
+          audioUrl,
+        };
+      }),
+    };
+  }
+
+  const channel = doc.rss?.channel || doc['rdf:RDF']?.channel;
+  if (!channel) {
+    throw new Error('Not an RSS or Atom feed');
+  }
+
+  const items = doc.rss ? channel.item : doc['rdf:RDF'].item;
+  return {
+    title: text(channel.title),
+    items: asArray(items).map(item => {
+      const audioUrl = audioEnclosure(item.enclosure);
+      const url = text(item.link) || (item.guid?.['@_isPermaLink'] !== 'false' ? text(item.guid) : '') || audioUrl || '';
+      return {
+        id: text(item.guid) || url,
+        url,
+        title: text(item.title),
+        author: text(item['dc:creator']) || text(item.author) || null,
+        publishedAt: toIsoDate(text(item.pubDate) || text(item['dc:date'])),
+        html: text(item['content:encoded']) || null,
+        summary: text(item.description) || null,
+        audioUrl,
+      };
+    }),
+  };
+}
+
+/**
+ * Load the set of entry IDs already handed to the pipeline, per feed
+ */
+function loadSeen() {
+  const path = config.feeds.seenPath;
+  if (!existsSync(path)) return {};
+  try {
+    return JSON.parse(readFileSync(path, 'utf-8'));
+  } catch (e) {
+    return {};
+  }
+}
+
+function saveSeen(seen) {
+  const path = config.feeds.seenPath;
+  mkdirSync(dirname(path), { recursive: true });
+  writeFileSync(path, JSON.stringify(seen, null, 2));
+}
+
+/**
+ * Build an article object from a feed entry's full text
+ * The feed knows the title, author and date better than an HTML fragment does
+ */
+function articleFromEntry(entry, feed) {
+  const article = buildArticle(entry.url, entry.html);
+  return {
+    ...article,
+    title: entry.title || article.title,
+    author: entry.author || article.author,
+    publisher: feed.title || article.publisher,
+    publishedAt: entry.publishedAt || article.publishedAt,
+  };
+}
+
+/**
+ * Check a fetched entry against a subscription's filters
+ * @returns {string|null} Reason it was filtered out, or null if it passes
+ */
+function filterReason(subscription, article) {
+  const haystack = `${article.title} ${article.content}`.toLowerCase();
+
+  if (subscription.keywords?.length &&
+      !subscription.keywords.some(keyword => haystack.includes(keyword.toLowerCase()))) {
+    return 'no matching keyword';
+  }
+  if (subscription.excludeKeywords?.some(keyword => haystack.includes(keyword.toLowerCase()))) {
+    return 'excluded keyword';
+  }
+  if (subscription.minWords && article.wordCount !== null && article.wordCount < subscription.minWords) {
+    return `too short (${article.wordCount} words)`;
+  }
+  if (subscription.categories?.length) {
+    const tags = pickTags(scoreCategories(article.content, article.title)).map(tag => tag.name);
+    if (!tags.some(tag => subscription.categories.includes(tag))) {
+      return 'category not wanted';
+    }
+  }
+  return null;
+}
+
+/**
+ * Record a returned entry as handled, once it has been queued or processed
+ * @param {Object} item - A source returned by getNewFeedItems
+ */
+export function markSeen(item) {
+  const seen = loadSeen();
+  const ids = new Set(seen[item.feedUrl] || []);
+  ids.add(item.feedEntryId);
+  // Keep the list bounded; feeds rarely carry more than a few hundred entries
+  seen[item.feedUrl] = [...ids].slice(-1000);
+  saveSeen(seen);
+}
+
+/**
+ * Poll every subscribed feed and return entries not seen before
+ * Entries filtered out (and, on a new subscription, those beyond the backfill)
+ * are marked seen here. Returned entries are not: the caller marks each one
+ * with markSeen after queueing or processing it, so a crash in between means
+ * it is returned again on the next poll rather than lost.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Save nothing
+ * @returns {Object[]} Sources for pipeline.runPipeline: { url, title, feedUrl, feedEntryId, article }, or
+ *   { url, title, feedUrl, feedEntryId, audioUrl } for podcast episodes
+ */
+export async function getNewFeedItems({ dryRun = false } = {}) {
+  const seen = loadSeen();
+  const results = [];
+
+  for (const subscription of config.feeds.subscriptions) {
+    let feed;
+    try {
+      const response = await fetchUrl(subscription.url, {
+        accept: 'application/rss+xml,application/atom+xml,application/xml;q=0.9,text/xml;q=0.8,*/*;q=0.5',
+      });
+      feed = parseFeed(response.text());
+    } catch (error) {
+      console.error(`  Feed failed: ${subscription.url}: ${error.message}`);
+      continue;
+    }
+
+    const firstPoll = !seen[subscription.url];
+    const seenIds = new Set(seen[subscription.url] || []);
+    let fresh = feed.items.filter(item => item.url && !seenIds.has(item.id));
+
+    // A new subscription only backfills its latest few entries
+    if (firstPoll) {
+      fresh = fresh.slice(0, subscription.backfill ?? config.feeds.backfill);
+      feed.items.filter(item => !fresh.includes(item)).forEach(item => seenIds.add(item.id));
+    }
+
+    for (const entry of fresh) {
+      // Podcast episodes are transcribed by the pipeline; filter on the show notes for now
+      if (entry.audioUrl) {
+        const notes = entry.html || entry.summary;
+        const preview = {
+          title: entry.title || 'Podcast Episode',
+          content: notes ? extractReadable(notes).text : '',
+          wordCount: null,
+        };
+        const reason = filterReason(subscription, preview);
+        if (reason) {
+          console.log(`  Skipping "${preview.title}": ${reason}`);
+          seenIds.add(entry.id);
+          continue;
+        }
+        results.push({
+          url: entry.url,
+          title: preview.title,
+          feedUrl: subscription.url,
+          feedEntryId: entry.id,
+          audioUrl: entry.audioUrl,
+        });
+        continue;
+      }
+
+      let article;
+      try {
+        // Full-text feeds need no HTML fetch
+        article = entry.html ? articleFromEntry(entry, feed) : await fetchArticle(entry.url);
+      } catch (error) {
+        console.error(`  Could not load ${entry.url}: ${error.message}`);
+        continue;
+      }
+
+      const reason = filterReason(subscription, article);
+      if (reason) {
+        console.log(`  Skipping "${article.title}": ${reason}`);
+        seenIds.add(entry.id);
+        continue;
+      }
+
+      results.push({
+        url: entry.url,
+        title: article.title,
+        feedUrl: subscription.url,
+        feedEntryId: entry.id,
+        article,
+      });
+    }
+
+    seen[subscription.url] = [...seenIds].slice(-1000);
+  }
+
+  if (!dryRun) saveSeen(seen);
+  return results;
+}
+
+export default {
+  parseFeed,
+  getNewFeedItems,
+  markSeen,
+};
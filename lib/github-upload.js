@@ -3,7 +3,7 @@
  */
 
 import { readFileSync, statSync } from 'fs';
-import { basename } from 'path';
+import { basename, extname } from 'path';
 
 const GITHUB_TOKEN = process.env.GITHUB_API_KEY || process.env.GITHUB_TOKEN;
 const REPO_OWNER = 'darrenfurr';
@@ -58,6 +58,20 @@ async function getOrCreateRelease() {
   return await createResponse.json();
 }
 
+/**
+ * First of name.mp3, name-2.mp3, name-3.mp3... not already in the release
+ */
+function uniqueAssetName(fileName, assets) {
+  const taken = new Set(assets.map(a => a.name));
+  const ext = extname(fileName);
+  const stem = fileName.slice(0, fileName.length - ext.length);
+  let name = fileName;
+  for (let n = 2; taken.has(name); n++) {
+    name = `${stem}-${n}${ext}`;
+  }
+  return name;
+}
+
 /**
  * Upload MP3 file to GitHub Release
  * @param {string} filePath - Path to the MP3 file
@@ -78,23 +92,17 @@ export async function uploadToGitHub(filePath) {
   const fileName = basename(filePath);
   const fileSize = statSync(filePath).size;
   
-  // Check if asset already exists (delete if so)
+  // Never replace an existing asset: other episodes may already link to it.
+  // The same file (same size) is reused; a different one gets a numbered name.
   const existingAsset = release.assets?.find(a => a.name === fileName);
-  if (existingAsset) {
-    await fetch(
-      `https://api.github.com/repos/${REPO_OWNER}/${REPO_NAME}/releases/assets/${existingAsset.id}`,
-      {
-        method: 'DELETE',
-        headers: {
-          'Authorization': `Bearer ${GITHUB_TOKEN}`,
-          'Accept': 'application/vnd.github.v3+json',
-        },
-      }
-    );
+  if (existingAsset && existingAsset.size === fileSize) {
+    console.log(`✅ Already uploaded: ${existingAsset.browser_download_url}`);
+    return existingAsset.browser_download_url;
   }
+  const assetName = uniqueAssetName(fileName, release.assets || []);
   
   // Upload new asset
-  const uploadUrl = release.upload_url.replace('{?name,label}', `?name=${encodeURIComponent(fileName)}`);
+  const uploadUrl = release.upload_url.replace('{?name,label}', `?name=${encodeURIComponent(assetName)}`);
   
   const uploadResponse = await fetch(uploadUrl, {
     method: 'POST',
@@ -0,0 +1,232 @@
+/**
+ * HTTP fetching for read-later-podcast
+ * One place for redirects, timeouts, size limits, compression, charset
+ * decoding, retries and SSRF checks, so no caller needs a shell fallback
+ */
+
+import { config } from './config.js';
+import { assertSafeUrl } from './url-safety.js';
+
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+// Worth another attempt; anything else in 4xx is the caller's problem
+const RETRY_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+/**
+ * Error for a response or transfer that failed
+ * `retryable` tells fetchUrl whether another attempt could succeed
+ */
+function httpError(message, { status = null, retryable = false } = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.retryable = retryable;
+  return error;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Normalize a charset label; returns null if TextDecoder doesn't know it
+ */
+function normalizeCharset(label) {
+  if (!label) return null;
+  const cleaned = label.trim().replace(/^["']|["']$/g, '').toLowerCase();
+  try {
+    return new TextDecoder(cleaned).encoding;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Work out a body's character set
+ * Order: byte-order mark, Content-Type header, <meta charset> / http-equiv, UTF-8
+ * @param {Buffer} body
+ * @param {string} contentType - Content-Type header value
+ */
+export function detectCharset(body, contentType = '') {
+  if (body[0] === 0xef && body[1] === 0xbb && body[2] === 0xbf) return 'utf-8';
+  if (body[0] === 0xfe && body[1] === 0xff) return 'utf-16be';
+  if (body[0] === 0xff && body[1] === 0xfe) return 'utf-16le';
+
+  const fromHeader = normalizeCharset(contentType.match(/charset=([^;]+)/i)?.[1]);
+  if (fromHeader) return fromHeader;
+
+  // Meta tags must appear in the first 1024 bytes per the HTML spec; allow some slack
+  const head = body.subarray(0, 4096).toString('latin1');
+  const metaCharset = head.match(/<meta[^>]+charset\s*=\s*["']?([\w:.-]+)/i)?.[1] ||
+    head.match(/<\?xml[^>]+encoding\s*=\s*["']([\w:.-]+)["']/i)?.[1];
+  return normalizeCharset(metaCharset) || 'utf-8';
+}
+
+// windows-1252 characters for bytes 0x80-0x9F; some Node versions decode
+// windows-1252 as ISO-8859-1 and leave these as C1 control characters
+const WINDOWS_1252_C1 = '€\u0081‚ƒ„…†‡ˆ‰Š‹Œ\u008DŽ\u008F\u0090‘’“”•–—˜™š›œ\u009Džÿ';
+
+/**
+ * Decode a body to text using its detected charset
+ */
+export function decodeBody(body, contentType = '') {
+  const charset = detectCharset(body, contentType);
+  const text = new TextDecoder(charset).decode(body);
+  if (charset !== 'windows-1252') return text;
+  return text.replace(/[\u0080-\u009f]/g, c => WINDOWS_1252_C1[c.charCodeAt(0) - 0x80]);
+}
+
+/**
+ * Read a response body, refusing to buffer more than maxBytes
+ * Counts decompressed bytes, so compression bombs are cut off too
+ */
+async function readBody(response, maxBytes) {
+  const declared = Number(response.headers.get('content-length'));
+  if (declared && declared > maxBytes) {
+    throw httpError(`Response too large: ${declared} bytes (limit ${maxBytes})`);
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      await response.body.cancel().catch(() => {});
+      throw httpError(`Response too large: over ${maxBytes} bytes`);
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks.map(chunk => Buffer.from(chunk)));
+}
+
+/**
+ * One attempt: follow redirects by hand so each hop is counted and checked
+ */
+async function fetchOnce(url, options) {
+  const signal = AbortSignal.timeout(options.timeoutMs);
+  let current = url;
+
+  for (let hop = 0; ; hop++) {
+    // Every hop - a public page can redirect to an internal address
+    await assertSafeUrl(current);
+    const parsed = new URL(current);
+
+    let response;
+    try {
+      response = await fetch(current, {
+        headers: {
+          'User-Agent': options.userAgent,
+          'Accept': options.accept,
+          'Accept-Encoding': 'gzip, deflate, br',
+          ...options.headers,
+        },
+        redirect: 'manual',
+        signal,
+      });
+    } catch (error) {
+      const reason = error.name === 'TimeoutError'
+        ? `timed out after ${options.timeoutMs}ms`
+        : error.cause?.message || error.message;
+      throw httpError(`Request to ${parsed.host} failed: ${reason}`, { retryable: true });
+    }
+
+    if (REDIRECT_STATUSES.has(response.status)) {
+      const location = response.headers.get('location');
+      await response.body?.cancel().catch(() => {});
+      if (!location) {
+        throw httpError(`HTTP ${response.status} without a Location header`, { status: response.status });
+      }
+      if (hop >= options.maxRedirects) {
+        throw httpError(`Too many redirects (more than ${options.maxRedirects})`);
+      }
+      current = new URL(location, current).toString();
+      continue;
+    }
+
+    if (!response.ok) {
+      await response.body?.cancel().catch(() => {});
+      const error = httpError(`HTTP ${response.status}: ${response.statusText}`, {
+        status: response.status,
+        retryable: RETRY_STATUSES.has(response.status),
+      });
+      error.retryAfter = response.headers.get('retry-after');
+      throw error;
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+
+    // The caller will fetch this kind of response its own way (e.g. large audio files)
+    if (options.skipBody?.(contentType)) {
+      await response.body?.cancel().catch(() => {});
+      return { url: current, status: response.status, contentType, body: null, text: () => '' };
+    }
+
+    let body;
+    try {
+      body = await readBody(response, options.maxBytes);
+    } catch (error) {
+      if (error.retryable !== undefined) throw error;
+      throw httpError(`Reading ${parsed.host} failed: ${error.cause?.message || error.message}`, { retryable: true });
+    }
+
+    return {
+      url: current,
+      status: response.status,
+      contentType,
+      body,
+      text: () => decodeBody(body, contentType),
+    };
+  }
+}
+
+/**
+ * Delay before the next attempt: Retry-After if the server sent a short one,
+ * else exponential backoff
+ */
+function retryDelay(error, attempt) {
+  const retryAfter = Number(error.retryAfter);
+  if (retryAfter > 0 && retryAfter <= 30) return retryAfter * 1000;
+  return 1000 * 2 ** (attempt - 1);
+}
+
+/**
+ * Fetch a URL with redirects, timeout, size limit and retries
+ * @param {string} url
+ * @param {Object} [options] - Defaults come from config.http
+ * @param {number} [options.timeoutMs] - Per-attempt timeout, redirects included
+ * @param {number} [options.maxBytes] - Largest body accepted (after decompression)
+ * @param {number} [options.maxRedirects]
+ * @param {number} [options.retries] - Extra attempts for network errors, timeouts, 429 and 5xx
+ * @param {string} [options.accept] - Accept header
+ * @param {Object} [options.headers] - Extra request headers
+ * @param {Function} [options.skipBody] - (contentType) => true to stop after the headers;
+ *   body is then null, so a caller can refetch with its own limits
+ * @returns {Object} { url (after redirects), status, contentType, body: Buffer, text() }
+ */
+export async function fetchUrl(url, options = {}) {
+  const settings = {
+    timeoutMs: config.http.timeoutMs,
+    maxBytes: config.http.maxBytes,
+    maxRedirects: config.http.maxRedirects,
+    retries: config.http.retries,
+    userAgent: config.http.userAgent,
+    accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+    headers: {},
+    ...options,
+  };
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fetchOnce(url, settings);
+    } catch (error) {
+      if (!error.retryable || attempt > settings.retries) throw error;
+
+      const delay = retryDelay(error, attempt);
+      console.warn(`  ${error.message}; retrying in ${delay / 1000}s (${attempt}/${settings.retries})`);
+      await sleep(delay);
+    }
+  }
+}
+
+export default {
+  fetchUrl,
+  detectCharset,
+  decodeBody,
+};
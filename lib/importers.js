@@ -0,0 +1,256 @@
+/**
+ * Read-later service imports for read-later-podcast
+ * Parses Pocket, Instapaper, Raindrop and Readwise Reader export files
+ * into one item shape: { url, title, tags, savedAt, service }
+ */
+
+import { readFileSync } from 'fs';
+import { extname, basename } from 'path';
+import { parse as parseHtml } from 'node-html-parser';
+import { canonicalizeUrl } from './urls.js';
+
+// Folders that are a read state, not a topic
+const NON_TOPIC_FOLDERS = /^(unread|archive|archived|read|starred|liked|inbox|later|shortlist|feed|new|unsorted)$/i;
+
+/**
+ * Parse CSV (RFC 4180: quoted fields, doubled quotes, newlines inside quotes)
+ * @returns {Object[]} One object per row, keyed by header
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...body] = rows.filter(r => r.some(cell => cell.trim()));
+  if (!header) return [];
+  const keys = header.map(key => key.trim().toLowerCase());
+  return body.map(cells => Object.fromEntries(keys.map((key, i) => [key, (cells[i] ?? '').trim()])));
+}
+
+/**
+ * Split a tag field: "a, b", "a|b", '["a","b"]' or "['a', 'b']"
+ */
+function splitTags(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value.map(String).map(tag => tag.trim()).filter(Boolean);
+
+  const trimmed = String(value).trim();
+  if (trimmed.startsWith('[')) {
+    return trimmed.slice(1, -1).split(',').map(tag => tag.trim().replace(/^["']|["']$/g, '')).filter(Boolean);
+  }
+  return trimmed.split(/[,|]/).map(tag => tag.trim()).filter(Boolean);
+}
+
+function fromEpoch(seconds) {
+  const n = Number(seconds);
+  return n > 0 ? new Date(n * 1000).toISOString() : null;
+}
+
+function toIsoDate(value) {
+  if (!value) return null;
+  if (/^\d{9,10}$/.test(value)) return fromEpoch(value);
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function withFolder(tags, folder) {
+  return folder && !NON_TOPIC_FOLDERS.test(folder.trim()) ? [...tags, folder.trim()] : tags;
+}
+
+/**
+ * Pocket's classic HTML export: <li><a href time_added tags>Title</a></li>
+ */
+function parsePocketHtml(html) {
+  return parseHtml(html).querySelectorAll('li a[href]').map(a => ({
+    url: a.getAttribute('href'),
+    title: a.text.trim() || null,
+    tags: splitTags(a.getAttribute('tags')),
+    savedAt: fromEpoch(a.getAttribute('time_added')),
+  }));
+}
+
+/**
+ * Pocket's CSV export: title,url,time_added,tags,status (tags separated by |)
+ */
+function parsePocketCsv(rows) {
+  return rows.map(row => ({
+    url: row.url,
+    title: row.title || null,
+    tags: splitTags(row.tags),
+    savedAt: fromEpoch(row.time_added),
+  }));
+}
+
+/**
+ * Instapaper CSV: URL,Title,Selection,Folder,Timestamp[,Tags]
+ */
+function parseInstapaperCsv(rows) {
+  return rows.map(row => ({
+    url: row.url,
+    title: row.title || null,
+    tags: withFolder(splitTags(row.tags), row.folder),
+    savedAt: fromEpoch(row.timestamp),
+  }));
+}
+
+/**
+ * Raindrop CSV: id,title,note,excerpt,url,folder,tags,created,...
+ */
+function parseRaindropCsv(rows) {
+  return rows.map(row => ({
+    url: row.url,
+    title: row.title || null,
+    tags: withFolder(splitTags(row.tags), row.folder),
+    savedAt: toIsoDate(row.created),
+  }));
+}
+
+/**
+ * Raindrop JSON: an array (or { items }) of { link, title, tags, created, collection }
+ */
+function parseRaindropJson(data) {
+  const items = Array.isArray(data) ? data : data.items || data.raindrops || [];
+  return items.map(item => ({
+    url: item.link || item.url,
+    title: item.title || null,
+    tags: withFolder(splitTags(item.tags), item.collection?.title || item.folder),
+    savedAt: toIsoDate(item.created),
+  }));
+}
+
+/**
+ * Readwise Reader CSV: Title,URL,ID,Document tags,Saved date,Reading progress,Location,Seen
+ */
+function parseReadwiseCsv(rows) {
+  return rows.map(row => ({
+    url: row.url,
+    title: row.title || null,
+    tags: splitTags(row['document tags']),
+    savedAt: toIsoDate(row['saved date']),
+  }));
+}
+
+/**
+ * Work out which service a CSV came from by its header
+ */
+function detectCsvService(rows) {
+  const columns = new Set(Object.keys(rows[0] || {}));
+  if (columns.has('document tags') || columns.has('saved date')) return 'readwise';
+  if (columns.has('excerpt') || (columns.has('folder') && columns.has('created'))) return 'raindrop';
+  if (columns.has('selection') || (columns.has('folder') && columns.has('timestamp'))) return 'instapaper';
+  if (columns.has('time_added')) return 'pocket';
+  return null;
+}
+
+const CSV_PARSERS = {
+  pocket: parsePocketCsv,
+  instapaper: parseInstapaperCsv,
+  raindrop: parseRaindropCsv,
+  readwise: parseReadwiseCsv,
+};
+
+/**
+ * Parse an export file, detecting the service from its format
+ * @param {string} path - Export file (.html, .csv or .json)
+ * @param {Object} [options]
+ * @param {string} [options.service] - Force pocket | instapaper | raindrop | readwise
+ * @returns {Object} { service, items: [{ url, title, tags, savedAt }] }
+ */
+export function parseExportFile(path, options = {}) {
+  const raw = readFileSync(path, 'utf-8');
+  const ext = extname(path).toLowerCase();
+
+  let service = options.service || null;
+  let items;
+
+  if (ext === '.html' || ext === '.htm' || /^\s*<(!doctype|html)/i.test(raw)) {
+    service = service || 'pocket';
+    items = parsePocketHtml(raw);
+  } else if (ext === '.json' || /^\s*[[{]/.test(raw)) {
+    service = service || 'raindrop';
+    items = parseRaindropJson(JSON.parse(raw));
+  } else {
+    const rows = parseCsv(raw);
+    service = service || detectCsvService(rows);
+    if (!CSV_PARSERS[service]) {
+      throw new Error(`Unrecognized export format in ${basename(path)}; pass --service pocket|instapaper|raindrop|readwise`);
+    }
+    items = CSV_PARSERS[service](rows);
+  }
+
+  return {
+    service,
+    items: items
+      .filter(item => item.url && /^https?:\/\//i.test(item.url))
+      .map(item => ({ ...item, service })),
+  };
+}
+
+/**
+ * Drop items whose canonical URL was already seen (in the file or in `existing`)
+ * Tags of duplicates are merged into the first occurrence.
+ * @param {Object[]} items
+ * @param {Iterable<string>} [existing] - URLs already in Notion or the queue
+ * @returns {Object} { items, duplicates } - items carry a canonicalUrl field
+ */
+export function dedupeItems(items, existing = []) {
+  const known = new Set([...existing].map(canonicalizeUrl).filter(Boolean));
+  const byUrl = new Map();
+  let duplicates = 0;
+
+  for (const item of items) {
+    const canonicalUrl = canonicalizeUrl(item.url);
+    if (!canonicalUrl || known.has(canonicalUrl)) {
+      duplicates++;
+      continue;
+    }
+    const first = byUrl.get(canonicalUrl);
+    if (first) {
+      first.tags = [...new Set([...first.tags, ...item.tags])];
+      duplicates++;
+      continue;
+    }
+    byUrl.set(canonicalUrl, { ...item, canonicalUrl });
+  }
+
+  return { items: [...byUrl.values()], duplicates };
+}
+
+export default {
+  parseCsv,
+  parseExportFile,
+  dedupeItems,
+};
@@ -9,3 +9,18 @@ export * as scriptGen from './script-gen.js';
 export * as tts from './tts.js';
 export * as youtube from './youtube.js';
 export { uploadToGitHub } from './github-upload.js';
+export * as pipeline from './pipeline.js';
+export * as jobs from './jobs.js';
+export * as feeds from './feeds.js';
+export * as http from './http.js';
+export * as urlSafety from './url-safety.js';
+export * as localFiles from './local-files.js';
+export * as urls from './urls.js';
+export * as importers from './importers.js';
+export * as library from './library.js';
+export * as showNotes from './show-notes.js';
+export * as llm from './llm.js';
+export * as categorize from './categorize.js';
+export * as collections from './collections.js';
+export * as translate from './translate.js';
+export * as podcasts from './podcasts.js';
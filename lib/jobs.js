@@ -0,0 +1,258 @@
+/**
+ * Persistent job queue for read-later-podcast
+ * Jobs live in an append-only JSON log so unfinished work survives restarts
+ */
+
+import { EventEmitter } from 'events';
+import { appendFileSync, readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { dirname, resolve } from 'path';
+import { randomUUID } from 'crypto';
+import { config } from './config.js';
+import { canonicalizeUrl } from './urls.js';
+
+/**
+ * Read the job log, keeping the latest snapshot of each job
+ * Snapshots after the first leave out the source, so they are merged over earlier ones
+ */
+function loadJobs(logPath) {
+  const jobs = new Map();
+  if (!existsSync(logPath)) return jobs;
+
+  const lines = readFileSync(logPath, 'utf-8').split('\n');
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    try {
+      const job = JSON.parse(line);
+      jobs.set(job.id, { ...jobs.get(job.id), ...job });
+    } catch (e) {
+      // A crash mid-write can leave a torn last line - skip it
+    }
+  }
+
+  return jobs;
+}
+
+/**
+ * Key used to avoid queueing the same source twice
+ * Share links that differ only in tracking parameters count as one URL
+ */
+function sourceKey(source) {
+  return source.notionPageId || canonicalizeUrl(source.url) || source.url;
+}
+
+/**
+ * What the log keeps of a pipeline result: enough to report on the job, not the
+ * script, article or research it was made from
+ */
+function summarizeResult(result) {
+  return {
+    success: Boolean(result.success),
+    title: result.title || null,
+    podcastUrl: result.podcastUrl || null,
+    podcastPath: result.podcastPath || null,
+    showNotesPath: result.showNotesPath || null,
+    checkpointDir: result.checkpointDir || null,
+    duplicateOf: result.duplicateOf
+      ? { title: result.duplicateOf.title || null, reason: result.duplicateOf.reason, podcastUrl: result.duplicateOf.podcastUrl }
+      : null,
+    error: result.error || null,
+    failedStage: result.failedStage || null,
+    rejected: Boolean(result.rejected),
+  };
+}
+
+/**
+ * Create a job queue backed by a JSON log
+ * @param {Object} options
+ * @param {Function} options.worker - async (job) => result; result.success decides the final state,
+ *   result.rejected fails the job without retrying
+ * @param {string} [options.logPath] - Log file (default: config.queue.logPath)
+ * @param {number} [options.concurrency] - Jobs run at once (default: config.queue.concurrency)
+ * @param {number} [options.maxAttempts] - Attempts before a job is failed (default: config.queue.maxAttempts)
+ * @param {number} [options.retryDelayMs] - Wait before the first retry, doubled for each one after
+ *   (default: config.queue.retryDelaySeconds)
+ */
+export function createJobQueue(options) {
+  const logPath = resolve(options.logPath || config.queue.logPath);
+  const concurrency = options.concurrency || config.queue.concurrency;
+  const maxAttempts = options.maxAttempts || config.queue.maxAttempts;
+  const retryDelayMs = options.retryDelayMs ?? config.queue.retryDelaySeconds * 1000;
+  const worker = options.worker;
+
+  const events = new EventEmitter();
+  const jobs = loadJobs(logPath);
+  let running = 0;
+  let started = false;
+  let retryTimer = null;
+
+  mkdirSync(dirname(logPath), { recursive: true });
+
+  // Compact the log on open so it only holds one line per job
+  writeFileSync(logPath, [...jobs.values()].map(job => JSON.stringify(job) + '\n').join(''));
+
+  // The source (which can carry a whole feed article) is only written with the job's first line
+  function save(job, { withSource = false } = {}) {
+    job.updatedAt = new Date().toISOString();
+    const { source, ...snapshot } = job;
+    appendFileSync(logPath, JSON.stringify(withSource ? job : snapshot) + '\n');
+    events.emit('job', job);
+  }
+
+  const isDue = (job) => job.state === 'queued' && !(Date.parse(job.retryAt) > Date.now());
+
+  async function runJob(job) {
+    job.state = 'running';
+    job.attempts += 1;
+    job.progress = { stage: null, percent: 0, segments: null };
+    save(job);
+
+    let result;
+    try {
+      result = await worker(job);
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    job.result = summarizeResult(result);
+    job.retryAt = null;
+    if (result.success) {
+      job.state = 'complete';
+      job.lastError = null;
+      job.progress = { ...job.progress, percent: 100 };
+    } else {
+      job.lastError = result.error || 'Unknown error';
+      job.errors = [...(job.errors || []), {
+        attempt: job.attempts,
+        stage: result.failedStage || null,
+        message: job.lastError,
+        at: new Date().toISOString(),
+      }];
+      // A rejected page won't improve on retry
+      job.state = job.attempts < maxAttempts && !result.rejected ? 'queued' : 'failed';
+      // Back off so a brief upstream outage doesn't use up every attempt
+      if (job.state === 'queued') {
+        job.retryAt = new Date(Date.now() + retryDelayMs * 2 ** (job.attempts - 1)).toISOString();
+      }
+    }
+    save(job);
+  }
+
+  /**
+   * Wake the queue when the earliest retry falls due
+   */
+  function scheduleRetry() {
+    clearTimeout(retryTimer);
+    const waits = [...jobs.values()]
+      .filter(job => job.state === 'queued' && job.retryAt)
+      .map(job => Date.parse(job.retryAt) - Date.now());
+    if (waits.length === 0) return;
+
+    retryTimer = setTimeout(pump, Math.max(0, Math.min(...waits)));
+  }
+
+  function pump() {
+    if (!started) return;
+
+    while (running < concurrency) {
+      const next = [...jobs.values()].find(isDue);
+      if (!next) {
+        scheduleRetry();
+        return;
+      }
+
+      running++;
+      runJob(next)
+        .catch(error => console.error(`Job ${next.id} crashed:`, error))
+        .finally(() => {
+          running--;
+          pump();
+        });
+    }
+  }
+
+  return {
+    events,
+
+    /**
+     * Add a source to the queue, or return the active job already covering it
+     * @param {Object} source - { url, notionPageId?, title? }
+     */
+    enqueue(source) {
+      const key = sourceKey(source);
+      const active = [...jobs.values()].find(job =>
+        (job.state === 'queued' || job.state === 'running') && sourceKey(job.source) === key);
+      if (active) return active;
+
+      const now = new Date().toISOString();
+      const job = {
+        id: randomUUID(),
+        source,
+        state: 'queued',
+        attempts: 0,
+        lastError: null,
+        errors: [],
+        progress: null,
+        result: null,
+        retryAt: null,
+        createdAt: now,
+        updatedAt: now,
+      };
+      jobs.set(job.id, job);
+      save(job, { withSource: true });
+      pump();
+      return job;
+    },
+
+    get(id) {
+      return jobs.get(id) || null;
+    },
+
+    list() {
+      return [...jobs.values()];
+    },
+
+    /**
+     * Record live progress for a running job
+     * Every update is broadcast as a 'progress' event; only stage changes are written to the log
+     * @param {string} id - Job ID
+     * @param {Object} patch - Fields to merge into job.progress ({ stage, percent, segments })
+     */
+    progress(id, patch) {
+      const job = jobs.get(id);
+      if (!job || job.state !== 'running') return;
+
+      const stageChanged = patch.stage && patch.stage !== job.progress?.stage;
+      job.progress = { ...job.progress, ...patch };
+
+      if (stageChanged) {
+        save(job);
+      }
+      events.emit('progress', job);
+    },
+
+    /**
+     * Start processing; jobs left running by a previous process are resumed
+     */
+    start() {
+      for (const job of jobs.values()) {
+        if (job.state !== 'running') continue;
+        job.lastError = 'Interrupted by restart';
+        job.state = job.attempts < maxAttempts ? 'queued' : 'failed';
+        job.retryAt = null;
+        save(job);
+      }
+
+      const pending = [...jobs.values()].filter(job => job.state === 'queued').length;
+      if (pending > 0) {
+        console.log(`📋 Resuming ${pending} unfinished job(s)`);
+      }
+
+      started = true;
+      pump();
+    },
+  };
+}
+
+export default {
+  createJobQueue,
+};
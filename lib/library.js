@@ -0,0 +1,139 @@
+/**
+ * Episode library for read-later-podcast
+ * Remembers every finished episode by canonical URL and content fingerprint,
+ * so the same article saved twice (or syndicated under another URL) isn't rendered twice
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync, renameSync } from 'fs';
+import { dirname, resolve } from 'path';
+import { createHash } from 'crypto';
+import { config } from './config.js';
+import { canonicalizeUrl } from './urls.js';
+
+// Texts shorter than this don't have a stable enough fingerprint to compare
+const MIN_FINGERPRINT_WORDS = 50;
+
+function libraryPath() {
+  return resolve(config.library.path);
+}
+
+function loadEntries() {
+  const path = libraryPath();
+  if (!existsSync(path)) return [];
+  try {
+    return JSON.parse(readFileSync(path, 'utf-8')).episodes || [];
+  } catch (e) {
+    console.warn(`  ⚠️ Could not read episode library (${e.message}); starting a new one`);
+    return [];
+  }
+}
+
+function saveEntries(episodes) {
+  const path = libraryPath();
+  mkdirSync(dirname(path), { recursive: true });
+  // Write then rename so a crash never leaves a half-written library
+  writeFileSync(`${path}.tmp`, JSON.stringify({ episodes }, null, 2));
+  renameSync(`${path}.tmp`, path);
+}
+
+/**
+ * 64-bit SimHash of the text's word 3-shingles, as 16 hex characters
+ * Near-identical texts (reformatted, a changed byline, a trimmed footer)
+ * differ in only a few bits; unrelated texts differ in about half.
+ * @returns {string|null} null when the text is too short to fingerprint
+ */
+export function contentFingerprint(text) {
+  const words = String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  if (words.length < MIN_FINGERPRINT_WORDS) return null;
+
+  const weights = new Array(64).fill(0);
+  for (let i = 0; i + 3 <= words.length; i++) {
+    const digest = createHash('sha1').update(words.slice(i, i + 3).join(' ')).digest();
+    const hash = digest.readBigUInt64BE(0);
+    for (let bit = 0; bit < 64; bit++) {
+      weights[bit] += (hash >> BigInt(bit)) & 1n ? 1 : -1;
+    }
+  }
+
+  let fingerprint = 0n;
+  for (let bit = 0; bit < 64; bit++) {
+    if (weights[bit] > 0) fingerprint |= 1n << BigInt(bit);
+  }
+  return fingerprint.toString(16).padStart(16, '0');
+}
+
+/**
+ * Number of differing bits between two fingerprints
+ */
+export function fingerprintDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+}
+
+// Same pipeline source (a rerun or resume), not a second copy of it
+function isSameSource(entry, source) {
+  return entry.key === source.key && (entry.notionPageId || null) === (source.notionPageId || null);
+}
+
+/**
+ * Episode already made from the same source under another URL or row
+ * @param {Object} source
+ * @param {string[]} [source.urls] - URLs the source is known by
+ * @param {string} [source.fingerprint] - contentFingerprint() of its text
+ * @param {string} source.key - Checkpoint key (episodeKey) of the source being checked
+ * @param {string} [source.notionPageId]
+ * @returns {Object|null} { entry, reason: 'url' | 'content' }
+ */
+export function findDuplicate(source) {
+  const entries = loadEntries().filter(entry => !isSameSource(entry, source));
+
+  const keys = (source.urls || []).map(canonicalizeUrl).filter(Boolean);
+  const byUrl = keys.length > 0 && entries.find(entry => entry.urls.some(url => keys.includes(url)));
+  if (byUrl) return { entry: byUrl, reason: 'url' };
+
+  const byContent = source.fingerprint && entries.find(entry => entry.fingerprint &&
+    fingerprintDistance(entry.fingerprint, source.fingerprint) <= config.library.maxFingerprintDistance);
+  if (byContent) return { entry: byContent, reason: 'content' };
+
+  return null;
+}
+
+/**
+ * Add a finished episode, replacing an earlier render of the same source
+ * @param {Object} episode
+ * @param {string} episode.key - Checkpoint key (episodeKey)
+ * @param {string[]} episode.urls - Every URL the source is known by (requested, final, rel=canonical)
+ * @param {string} [episode.fingerprint] - contentFingerprint() of the source text
+ * @param {string} episode.title
+ * @param {string} episode.podcastUrl
+ * @param {string} [episode.notionPageId]
+ * @returns {Object} The stored entry
+ */
+export function recordEpisode(episode) {
+  const entry = {
+    key: episode.key,
+    urls: [...new Set(episode.urls.map(canonicalizeUrl).filter(Boolean))],
+    fingerprint: episode.fingerprint || null,
+    title: episode.title || null,
+    podcastUrl: episode.podcastUrl,
+    notionPageId: episode.notionPageId || null,
+    createdAt: new Date().toISOString(),
+  };
+
+  const entries = loadEntries().filter(existing => !isSameSource(existing, entry));
+  entries.push(entry);
+  saveEntries(entries);
+  return entry;
+}
+
+export default {
+  contentFingerprint,
+  fingerprintDistance,
+  findDuplicate,
+  recordEpisode,
+};
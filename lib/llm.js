@@ -0,0 +1,62 @@
+/**
+ * LLM access for read-later-podcast
+ * Claude via OpenRouter, shared by script writing, categorization and other prompts
+ */
+
+const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
+// Use Haiku for cost-effectiveness
+const MODEL = 'anthropic/claude-3.5-haiku';
+
+/**
+ * Call Claude via OpenRouter API
+ * @param {string} prompt
+ * @param {Object} [options]
+ * @param {number} [options.maxTokens=4000]
+ * @param {number} [options.temperature=0.7]
+ */
+export async function callClaude(prompt, options = {}) {
+  const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${OPENROUTER_API_KEY}`,
+      'HTTP-Referer': 'https://github.com/darrenfurr/read-later-podcast',
+      'X-Title': 'Read Later Podcast',
+    },
+    body: JSON.stringify({
+      model: MODEL,
+      max_tokens: options.maxTokens || 4000,
+      temperature: options.temperature ?? 0.7,
+      messages: [{ role: 'user', content: prompt }],
+    }),
+  });
+
+  if (!response.ok) {
+    const error = await response.text();
+    console.error(`OpenRouter API error: ${response.status}`);
+    console.error(`Response: ${error}`);
+    throw new Error(`OpenRouter API error: ${response.status} - ${error}`);
+  }
+
+  const data = await response.json();
+  const content = data.choices[0]?.message?.content;
+  
+  if (!content) {
+    console.error('No content in API response:', JSON.stringify(data, null, 2));
+    throw new Error('OpenRouter returned empty content');
+  }
+  
+  return content;
+}
+
+/**
+ * Whether an OpenRouter key is configured
+ */
+export function hasLlmKey() {
+  return Boolean(OPENROUTER_API_KEY);
+}
+
+export default {
+  callClaude,
+  hasLlmKey,
+};
@@ -0,0 +1,531 @@
+/**
+ * Local file ingestion for read-later-podcast
+ * Turns .md, .txt, .html, EPUB chapters and directories of files into the
+ * same article object fetchArticle returns, for sources that have no URL
+ */
+
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { readFileSync, readdirSync, statSync, existsSync } from 'fs';
+import { basename, extname, join, resolve, posix } from 'path';
+import { pathToFileURL } from 'url';
+import { XMLParser } from 'fast-xml-parser';
+import { parse as parseHtml } from 'node-html-parser';
+import { extractReadable, blocksToText } from './readability.js';
+import { extractMetadata } from './metadata.js';
+
+const execFileAsync = promisify(execFile);
+
+const TEXT_EXTENSIONS = ['.md', '.markdown', '.txt', '.html', '.htm', '.xhtml'];
+
+const xml = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  textNodeName: '#text',
+  parseTagValue: false,
+  htmlEntities: true,
+});
+
+const asArray = (value) => (value === undefined || value === null ? [] : [].concat(value));
+
+function text(node) {
+  if (node === undefined || node === null) return '';
+  if (typeof node === 'object') return String(node['#text'] ?? '').trim();
+  return String(node).trim();
+}
+
+function toIsoDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function countWords(content) {
+  return content.split(/\s+/).filter(word => word.length > 0).length;
+}
+
+/**
+ * Whether a generate-command argument is a local path rather than a URL
+ * (the loader reports missing files, so this doesn't check existence)
+ */
+export function isLocalPath(input) {
+  return Boolean(input) && !/^[a-z][a-z0-9+.-]*:\/\//i.test(input);
+}
+
+/**
+ * Title from a file name: "2024-q3-platform_review.md" → "2024 q3 platform review"
+ */
+function titleFromFileName(path) {
+  return basename(path, extname(path)).replace(/[-_]+/g, ' ').trim() || 'Untitled Document';
+}
+
+/**
+ * Split YAML-ish front matter (--- key: value ---) off a markdown file
+ */
+function splitFrontMatter(raw) {
+  const match = raw.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!match) return { fields: {}, body: raw };
+
+  const fields = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    const field = line.match(/^([\w-]+):\s*(.*)$/);
+    if (field) fields[field[1].toLowerCase()] = field[2].replace(/^["']|["']$/g, '').trim();
+  }
+  return { fields, body: raw.slice(match[0].length) };
+}
+
+/**
+ * Strip inline markdown (links, emphasis, code ticks, images) down to spoken text
+ */
+function inlineText(line) {
+  return line
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/<[^>]+>/g, '')
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/(\*|_)(.+?)\1/g, '$2')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Parse markdown into headings, paragraphs, lists, quotes and code
+ * @returns {Object[]} Blocks in the same shape readability.extractReadable returns
+ */
+export function parseMarkdown(markdown) {
+  const blocks = [];
+  let paragraph = [];
+  let list = null;
+  let quote = [];
+  let fence = null;
+
+  const flush = () => {
+    if (quote.length > 0) {
+      // A closing "— Name" line is the attribution
+      const cite = quote.length > 1 && quote[quote.length - 1].match(/^(?:—|--|―)\s*(.+)$/);
+      const lines = cite ? quote.slice(0, -1) : quote;
+      const text = inlineText(lines.join(' '));
+      if (text) blocks.push({ type: 'quote', text, cite: cite ? inlineText(cite[1]) : null });
+      quote = [];
+    }
+    if (paragraph.length > 0) {
+      const joined = inlineText(paragraph.join(' '));
+      if (joined) blocks.push({ type: 'paragraph', text: joined });
+      paragraph = [];
+    }
+    if (list) {
+      blocks.push(list);
+      list = null;
+    }
+  };
+
+  for (const rawLine of markdown.split(/\r?\n/)) {
+    const line = rawLine.trimEnd();
+
+    // Fenced code is kept verbatim, with the info string's language
+    if (fence) {
+      if (line.trim().startsWith(fence.marker)) {
+        blocks.push({ type: 'code', language: fence.language, text: fence.lines.join('\n') });
+        fence = null;
+      } else {
+        fence.lines.push(rawLine);
+      }
+      continue;
+    }
+    const fenceStart = line.trim().match(/^(```|~~~)\s*([\w+#-]+)?/);
+    if (fenceStart) {
+      flush();
+      fence = { marker: fenceStart[1], language: fenceStart[2]?.toLowerCase() || null, lines: [] };
+      continue;
+    }
+
+    if (!line.trim()) {
+      flush();
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.+?)\s*#*$/);
+    if (heading) {
+      flush();
+      blocks.push({ type: 'heading', level: heading[1].length, text: inlineText(heading[2]) });
+      continue;
+    }
+
+    // Setext headings ("Title" underlined with === or ---)
+    if (/^(=+|-+)$/.test(line.trim()) && paragraph.length === 1) {
+      blocks.push({ type: 'heading', level: line.trim()[0] === '=' ? 1 : 2, text: inlineText(paragraph[0]) });
+      paragraph = [];
+      continue;
+    }
+
+    if (/^(\*\s*){3,}$|^(-\s*){3,}$|^(_\s*){3,}$/.test(line.trim())) {
+      flush();
+      continue;
+    }
+
+    const item = line.match(/^\s*([-*+]|\d+[.)])\s+(.*)$/);
+    if (item) {
+      if (paragraph.length > 0) flush();
+      const ordered = /\d/.test(item[1]);
+      if (!list || list.ordered !== ordered) {
+        flush();
+        list = { type: 'list', ordered, items: [] };
+      }
+      list.items.push(inlineText(item[2]));
+      continue;
+    }
+
+    // Indented continuation of a list item
+    if (list && /^\s{2,}\S/.test(rawLine)) {
+      list.items[list.items.length - 1] += ` ${inlineText(line)}`;
+      continue;
+    }
+
+    const quoted = line.match(/^\s*>\s?(.*)$/);
+    if (quoted) {
+      if (list || paragraph.length > 0) flush();
+      quote.push(quoted[1]);
+      continue;
+    }
+
+    if (list || quote.length > 0) flush();
+    paragraph.push(line);
+  }
+
+  if (fence && fence.lines.length > 0) {
+    blocks.push({ type: 'code', language: fence.language, text: fence.lines.join('\n') });
+  }
+  flush();
+
+  return blocks;
+}
+
+/**
+ * Build the article object from extracted blocks
+ */
+function buildLocalArticle(path, blocks, meta = {}) {
+  const content = blocksToText(blocks);
+  return {
+    url: null,
+    path,
+    title: meta.title || titleFromFileName(path),
+    author: meta.author || null,
+    publisher: meta.publisher || null,
+    publishedAt: meta.publishedAt || null,
+    canonicalUrl: null,
+    content,
+    blocks,
+    wordCount: countWords(content),
+    fetchedAt: new Date().toISOString(),
+    isLocal: true,
+  };
+}
+
+/**
+ * Per-format readers return { blocks, meta }; meta feeds buildLocalArticle
+ */
+function readMarkdown(path) {
+  const { fields, body } = splitFrontMatter(readFileSync(path, 'utf-8'));
+  let blocks = parseMarkdown(body);
+
+  // A leading H1 is the title, not part of the spoken content
+  let title = fields.title;
+  if (blocks[0]?.type === 'heading' && blocks[0].level === 1) {
+    title = title || blocks[0].text;
+    blocks = blocks.slice(1);
+  }
+
+  return {
+    blocks,
+    meta: { title, author: fields.author, publishedAt: toIsoDate(fields.date) },
+  };
+}
+
+function readText(path) {
+  const blocks = readFileSync(path, 'utf-8')
+    .split(/\r?\n\s*\r?\n/)
+    .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .map(paragraph => ({ type: 'paragraph', text: paragraph }));
+  return { blocks, meta: {} };
+}
+
+function readHtml(path) {
+  const html = readFileSync(path, 'utf-8');
+  const { blocks } = extractReadable(html);
+  const metadata = extractMetadata(html, pathToFileURL(path).toString());
+  return {
+    blocks,
+    meta: {
+      title: metadata.title !== 'Untitled Article' ? metadata.title : null,
+      author: metadata.author,
+      publisher: metadata.publisher,
+      publishedAt: metadata.publishedAt,
+    },
+  };
+}
+
+/**
+ * Read one text file in whichever format its extension says
+ */
+function readFile(path) {
+  const ext = extname(path).toLowerCase();
+  if (ext === '.md' || ext === '.markdown') return readMarkdown(path);
+  if (ext === '.txt') return readText(path);
+  return readHtml(path);
+}
+
+/**
+ * Escape unzip's wildcard characters so entry names match literally
+ */
+function zipEntryPattern(name) {
+  return name.replace(/([\\*?[\]])/g, '\\$1');
+}
+
+async function readZipEntry(archive, name) {
+  try {
+    const { stdout } = await execFileAsync('unzip', ['-p', archive, zipEntryPattern(name)], {
+      encoding: 'utf-8',
+      maxBuffer: 50 * 1024 * 1024,
+      timeout: 60000,
+    });
+    return stdout;
+  } catch (error) {
+    if (error.code === 'ENOENT') throw new Error('unzip is required to read EPUB files');
+    throw new Error(`Could not read ${name} from ${basename(archive)}: ${error.message}`);
+  }
+}
+
+/**
+ * Resolve an href inside the EPUB relative to the file that references it
+ */
+function resolveEntry(base, href) {
+  const clean = decodeURIComponent(href.split('#')[0]);
+  return posix.normalize(posix.join(posix.dirname(base), clean));
+}
+
+/**
+ * Chapter titles from the EPUB 3 nav document or the EPUB 2 NCX, keyed by entry path
+ */
+async function readTableOfContents(archive, opfPath, manifest, spineToc) {
+  const titles = new Map();
+
+  const navItem = manifest.find(item => /(^|\s)nav(\s|$)/.test(item['@_properties'] || ''));
+  if (navItem) {
+    const navPath = resolveEntry(opfPath, navItem['@_href']);
+    const root = parseHtml(await readZipEntry(archive, navPath));
+    const toc = root.querySelectorAll('nav').find(nav => /toc/.test(nav.getAttribute('epub:type') || '')) ||
+      root.querySelector('nav');
+    for (const link of toc?.querySelectorAll('a[href]') || []) {
+      const entry = resolveEntry(navPath, link.getAttribute('href'));
+      const title = link.text.replace(/\s+/g, ' ').trim();
+      if (title && !titles.has(entry)) titles.set(entry, title);
+    }
+    if (titles.size > 0) return titles;
+  }
+
+  const ncxItem = manifest.find(item => item['@_id'] === spineToc) ||
+    manifest.find(item => item['@_media-type'] === 'application/x-dtbncx+xml');
+  if (ncxItem) {
+    const ncxPath = resolveEntry(opfPath, ncxItem['@_href']);
+    const ncx = xml.parse(await readZipEntry(archive, ncxPath));
+    const queue = [...asArray(ncx.ncx?.navMap?.navPoint)];
+    while (queue.length > 0) {
+      const point = queue.shift();
+      const src = point.content?.['@_src'];
+      const title = text(point.navLabel?.text);
+      if (src && title) {
+        const entry = resolveEntry(ncxPath, src);
+        if (!titles.has(entry)) titles.set(entry, title);
+      }
+      queue.push(...asArray(point.navPoint));
+    }
+  }
+
+  return titles;
+}
+
+/**
+ * Read an EPUB's metadata and its chapters in reading order
+ * Spine items without text (covers, image pages) are left out
+ * @returns {Object} { title, author, publisher, publishedAt, chapters: [{ number, title, blocks, wordCount }] }
+ */
+export async function readEpub(path) {
+  const container = xml.parse(await readZipEntry(path, 'META-INF/container.xml'));
+  const rootfile = asArray(container.container?.rootfiles?.rootfile)[0];
+  const opfPath = rootfile?.['@_full-path'];
+  if (!opfPath) throw new Error(`${basename(path)} is not a valid EPUB (no rootfile)`);
+
+  const opf = xml.parse(await readZipEntry(path, opfPath)).package;
+  const metadata = opf.metadata || {};
+  const manifest = asArray(opf.manifest?.item);
+  const byId = new Map(manifest.map(item => [item['@_id'], item]));
+  const titles = await readTableOfContents(path, opfPath, manifest, opf.spine?.['@_toc']);
+
+  const chapters = [];
+  for (const itemref of asArray(opf.spine?.itemref)) {
+    if (itemref['@_linear'] === 'no') continue;
+    const item = byId.get(itemref['@_idref']);
+    if (!item || !/html/.test(item['@_media-type'] || '')) continue;
+
+    const entry = resolveEntry(opfPath, item['@_href']);
+    const { blocks } = extractReadable(await readZipEntry(path, entry));
+    const wordCount = countWords(blocksToText(blocks));
+    if (wordCount === 0) continue;
+
+    const firstHeading = blocks.find(block => block.type === 'heading')?.text;
+    chapters.push({
+      number: chapters.length + 1,
+      title: titles.get(entry) || firstHeading || `Chapter ${chapters.length + 1}`,
+      blocks,
+      wordCount,
+    });
+  }
+
+  const creators = asArray(metadata['dc:creator']).map(text).filter(Boolean);
+  return {
+    title: text(asArray(metadata['dc:title'])[0]) || titleFromFileName(path),
+    author: creators.join(', ') || null,
+    publisher: text(asArray(metadata['dc:publisher'])[0]) || null,
+    publishedAt: toIsoDate(text(asArray(metadata['dc:date'])[0])),
+    chapters,
+  };
+}
+
+/**
+ * Pick chapters by number ("3"), range ("3-5"), list ("1,4") or title text ("The Long Winter")
+ */
+export function selectChapters(chapters, selector) {
+  const spec = String(selector).trim();
+
+  if (/^[\d\s,-]+$/.test(spec)) {
+    const numbers = new Set();
+    for (const part of spec.split(',').map(p => p.trim()).filter(Boolean)) {
+      const [from, to] = part.split('-').map(Number);
+      for (let n = from; n <= (to || from); n++) numbers.add(n);
+    }
+    const picked = chapters.filter(chapter => numbers.has(chapter.number));
+    if (picked.length === 0) {
+      throw new Error(`No chapter ${spec} (book has ${chapters.length} chapters)`);
+    }
+    return picked;
+  }
+
+  const wanted = spec.toLowerCase();
+  const picked = chapters.filter(chapter => chapter.title.toLowerCase().includes(wanted));
+  if (picked.length === 0) {
+    throw new Error(`No chapter title contains "${spec}"`);
+  }
+  return picked.slice(0, 1);
+}
+
+/**
+ * One line per chapter, for choosing --chapter
+ */
+export function formatChapterList(chapters) {
+  return chapters
+    .map(chapter => `  ${String(chapter.number).padStart(3)}. ${chapter.title} (${chapter.wordCount} words)`)
+    .join('\n');
+}
+
+async function loadEpub(path, chapter) {
+  const book = await readEpub(path);
+  if (book.chapters.length === 0) throw new Error(`${basename(path)} has no readable chapters`);
+  if (!chapter) {
+    throw new Error(`${basename(path)} has ${book.chapters.length} chapters; choose one with --chapter:\n${formatChapterList(book.chapters)}`);
+  }
+
+  const picked = selectChapters(book.chapters, chapter);
+
+  // Combined chapters keep a heading each (unless the chapter opens with its own)
+  const blocks = picked.length === 1
+    ? picked[0].blocks
+    : picked.flatMap(ch => (ch.blocks[0]?.type === 'heading'
+      ? ch.blocks
+      : [{ type: 'heading', level: 1, text: ch.title }, ...ch.blocks]));
+  const chapterTitle = picked.length === 1
+    ? picked[0].title
+    : `Chapters ${picked[0].number}-${picked[picked.length - 1].number}`;
+
+  console.log(`  ✓ EPUB: ${book.title}, ${picked.map(ch => `${ch.number}. ${ch.title}`).join('; ')}`);
+
+  return {
+    ...buildLocalArticle(path, blocks, {
+      title: `${book.title}: ${chapterTitle}`,
+      author: book.author,
+      publisher: book.publisher,
+      publishedAt: book.publishedAt,
+    }),
+    chapters: picked.map(ch => ({ number: ch.number, title: ch.title })),
+  };
+}
+
+/**
+ * Supported files under a directory, depth-first, sorted by name
+ */
+function listDirectory(dir) {
+  const files = [];
+  for (const name of readdirSync(dir).sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))) {
+    if (name.startsWith('.')) continue;
+    const full = join(dir, name);
+    if (statSync(full).isDirectory()) {
+      files.push(...listDirectory(full));
+    } else if (TEXT_EXTENSIONS.includes(extname(name).toLowerCase())) {
+      files.push(full);
+    }
+  }
+  return files;
+}
+
+function loadDirectory(dir) {
+  const files = listDirectory(dir);
+  if (files.length === 0) {
+    throw new Error(`No ${TEXT_EXTENSIONS.join('/')} files in ${dir}`);
+  }
+
+  // Each file becomes a section headed by its own title
+  const blocks = [];
+  for (const file of files) {
+    const { blocks: fileBlocks, meta } = readFile(file);
+    blocks.push({ type: 'heading', level: 1, text: meta.title || titleFromFileName(file) });
+    blocks.push(...fileBlocks);
+  }
+
+  console.log(`  ✓ Directory: ${files.length} files`);
+  return buildLocalArticle(dir, blocks, { title: titleFromFileName(dir) });
+}
+
+/**
+ * Load a local file or directory as an article
+ * @param {string} input - Path to .md/.markdown/.txt/.html/.epub or a directory
+ * @param {Object} [options]
+ * @param {string} [options.chapter] - EPUB chapter selector (number, range, list or title)
+ * @returns {Object} Article object (same shape as content.fetchArticle)
+ */
+export async function loadLocalSource(input, options = {}) {
+  const path = resolve(input);
+  if (!existsSync(path)) throw new Error(`No such file or directory: ${input}`);
+
+  console.log(`Loading local source: ${path}`);
+
+  if (statSync(path).isDirectory()) return loadDirectory(path);
+
+  const ext = extname(path).toLowerCase();
+  if (ext === '.epub') return loadEpub(path, options.chapter);
+  if (!TEXT_EXTENSIONS.includes(ext)) {
+    throw new Error(`Unsupported file type "${ext}" (expected ${[...TEXT_EXTENSIONS, '.epub'].join(', ')})`);
+  }
+
+  const { blocks, meta } = readFile(path);
+  return buildLocalArticle(path, blocks, meta);
+}
+
+export default {
+  isLocalPath,
+  parseMarkdown,
+  readEpub,
+  selectChapters,
+  formatChapterList,
+  loadLocalSource,
+};
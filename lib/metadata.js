@@ -0,0 +1,185 @@
+/**
+ * Article metadata extraction for read-later-podcast
+ * Reads OpenGraph, Twitter card, JSON-LD and plain <meta> tags
+ */
+
+import { parse } from 'node-html-parser';
+import { isPlausibleCanonical } from './urls.js';
+
+const ARTICLE_TYPES = /^(Article|NewsArticle|BlogPosting|TechArticle|ScholarlyArticle|Report|AnalysisNewsArticle|OpinionNewsArticle|ReportageNewsArticle|LiveBlogPosting|WebPage)$/;
+
+// Separators sites use between headline and site name
+const TITLE_SEPARATORS = /\s+[|\-–—·•:»]\s+|\s+::\s+/;
+
+function clean(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+function decodeEntities(text) {
+  return text.includes('&') ? parse(`<span>${text}</span>`).text : text;
+}
+
+/**
+ * Collect <meta> tags keyed by lowercased property/name
+ */
+function readMetaTags(root) {
+  const meta = {};
+  for (const el of root.querySelectorAll('meta')) {
+    const key = (el.getAttribute('property') || el.getAttribute('name') || el.getAttribute('itemprop') || '').toLowerCase();
+    const value = el.getAttribute('content');
+    if (key && value && !(key in meta)) {
+      meta[key] = clean(decodeEntities(value));
+    }
+  }
+  return meta;
+}
+
+/**
+ * Find the first Article-like object in the page's JSON-LD
+ */
+function readJsonLd(root) {
+  const candidates = [];
+
+  for (const el of root.querySelectorAll('script[type="application/ld+json"]')) {
+    let data;
+    try {
+      data = JSON.parse(el.text.trim());
+    } catch (e) {
+      continue; // Malformed JSON-LD is common; ignore it
+    }
+    const queue = Array.isArray(data) ? [...data] : [data];
+    while (queue.length > 0) {
+      const item = queue.shift();
+      if (!item || typeof item !== 'object') continue;
+      if (Array.isArray(item['@graph'])) queue.push(...item['@graph']);
+      candidates.push(item);
+    }
+  }
+
+  const isType = (item, pattern) => [].concat(item['@type'] || []).some(type => pattern.test(type));
+  return candidates.find(item => isType(item, /Article|BlogPosting|Report/)) ||
+    candidates.find(item => isType(item, ARTICLE_TYPES)) ||
+    null;
+}
+
+/**
+ * Names from a JSON-LD author/publisher value (string, object or array)
+ */
+function jsonLdNames(value) {
+  return [].concat(value || [])
+    .map(entry => (typeof entry === 'string' ? entry : entry?.name))
+    .filter(name => typeof name === 'string' && name.trim())
+    .map(clean);
+}
+
+function jsonLdUrl(value) {
+  const first = [].concat(value || [])[0];
+  if (!first) return null;
+  return typeof first === 'string' ? first : first.url || first['@id'] || null;
+}
+
+function toIsoDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function absoluteUrl(value, base) {
+  if (!value) return null;
+  try {
+    return new URL(value, base).toString();
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Strip the site name from a <title> like "Headline | Site Name"
+ */
+export function cleanTitle(title, siteName) {
+  const text = clean(title);
+  const parts = text.split(TITLE_SEPARATORS);
+  if (parts.length < 2) return text;
+
+  const site = clean(siteName).toLowerCase();
+  if (site) {
+    const kept = parts.filter(part => part.toLowerCase() !== site);
+    if (kept.length > 0 && kept.length < parts.length) return kept.join(' - ');
+  }
+
+  // Without a known site name, drop a short trailing segment if a real headline remains
+  const head = parts.slice(0, -1).join(' - ');
+  const tail = parts[parts.length - 1];
+  if (tail.split(' ').length <= 4 && head.split(' ').length >= 3) return head;
+
+  return text;
+}
+
+/**
+ * Extract article metadata from an HTML page
+ * @param {string} html - Full page HTML
+ * @param {string} pageUrl - URL the page was fetched from (for resolving relative links)
+ * @returns {Object} { title, author, publisher, publishedAt, image, canonicalUrl, description }
+ */
+export function extractMetadata(html, pageUrl) {
+  const root = parse(html, { comment: false });
+  const meta = readMetaTags(root);
+  const ld = readJsonLd(root) || {};
+
+  const publisher = meta['og:site_name'] ||
+    jsonLdNames(ld.publisher)[0] ||
+    meta['application-name'] ||
+    null;
+
+  const rawTitle = clean(root.querySelector('title')?.text);
+  const title = clean(ld.headline) ||
+    meta['og:title'] ||
+    meta['twitter:title'] ||
+    (rawTitle ? cleanTitle(rawTitle, publisher) : null) ||
+    clean(root.querySelector('h1')?.text) ||
+    'Untitled Article';
+
+  // article:author is often a profile URL rather than a name
+  const metaAuthor = [meta['author'], meta['article:author'], meta['dc.creator'], meta['parsely-author']]
+    .find(value => value && !/^https?:\/\//.test(value));
+  const authors = jsonLdNames(ld.author);
+  const author = authors.length > 0 ? authors.join(', ') : metaAuthor || null;
+
+  const publishedAt = toIsoDate(ld.datePublished) ||
+    toIsoDate(meta['article:published_time']) ||
+    toIsoDate(meta['datepublished']) ||
+    toIsoDate(meta['date']) ||
+    toIsoDate(meta['pubdate']) ||
+    toIsoDate(meta['publish-date']) ||
+    toIsoDate(meta['dc.date']) ||
+    toIsoDate(root.querySelector('time[datetime]')?.getAttribute('datetime')) ||
+    null;
+
+  const image = absoluteUrl(meta['og:image'] || meta['twitter:image'] || jsonLdUrl(ld.image), pageUrl);
+
+  // The first declared canonical that is on this site and isn't just its homepage
+  const canonicalUrl = [
+    root.querySelector('link[rel="canonical"]')?.getAttribute('href'),
+    meta['og:url'],
+    jsonLdUrl(ld.mainEntityOfPage),
+  ]
+    .map(href => absoluteUrl(href, pageUrl))
+    .find(url => url && isPlausibleCanonical(url, pageUrl)) || pageUrl;
+
+  const description = meta['og:description'] || meta['description'] || meta['twitter:description'] || null;
+
+  return {
+    title: decodeEntities(title),
+    author,
+    publisher,
+    publishedAt,
+    image,
+    canonicalUrl,
+    description,
+  };
+}
+
+export default {
+  extractMetadata,
+  cleanTitle,
+};
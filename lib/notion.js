@@ -7,6 +7,22 @@ import { config } from './config.js';
 
 const notion = new Client({ auth: config.notion.apiKey });
 
+// Optional columns filled from article metadata when the database has them
+const METADATA_COLUMNS = {
+  author: 'Author',
+  publisher: 'Publisher',
+  publishedAt: 'Published',
+  canonicalUrl: 'Canonical URL',
+};
+
+// Optional column that receives the failure reason
+const ERROR_COLUMN = 'Error';
+
+// Optional column linking a duplicate row to the episode that already covers it
+const DUPLICATE_COLUMN = 'Duplicate Of';
+
+let databaseProperties = null;
+
 /**
  * Get all articles with status "New" from the database
  */
@@ -27,10 +43,61 @@ export async function getNewArticles() {
     id: page.id,
     url: getUrlProperty(page),
     title: getTitleProperty(page),
+    categories: getCategoryProperty(page),
     created: page.created_time,
   }));
 }
 
+/**
+ * URLs of every row in the database, for duplicate checks
+ */
+export async function getAllUrls() {
+  const urls = [];
+  let cursor;
+  do {
+    const response = await notion.databases.query({
+      database_id: config.notion.databaseId,
+      start_cursor: cursor,
+      page_size: 100,
+    });
+    for (const page of response.results) {
+      const url = getUrlProperty(page);
+      if (url) urls.push(url);
+    }
+    cursor = response.has_more ? response.next_cursor : undefined;
+  } while (cursor);
+  return urls;
+}
+
+/**
+ * Add a new article row (Status: New) so the normal pipeline picks it up
+ * Categories go into the Category column as whatever type it has
+ * (multi-select keeps them all, select keeps the first, text joins them)
+ */
+export async function createArticle({ url, title, categories = [] }) {
+  const schema = await getDatabaseProperties();
+  const titleColumn = Object.keys(schema).find(name => schema[name].type === 'title') || 'Name';
+
+  const properties = {
+    [titleColumn]: {
+      title: [{ text: { content: (title || url).slice(0, 2000) } }],
+    },
+    URL: toPropertyValue(schema.URL?.type || 'url', url),
+    Status: {
+      select: { name: 'New' },
+    },
+  };
+
+  const category = toPropertyValue(schema.Category?.type, categories);
+  if (category) properties.Category = category;
+
+  const page = await notion.pages.create({
+    parent: { database_id: config.notion.databaseId },
+    properties,
+  });
+  return page.id;
+}
+
 /**
  * Update article status
  */
@@ -45,10 +112,27 @@ export async function updateStatus(pageId, status) {
   });
 }
 
+/**
+ * Get the database's property schema (name → { type, ... })
+ * Cached for the life of the process
+ */
+export async function getDatabaseProperties() {
+  if (!databaseProperties) {
+    const database = await notion.databases.retrieve({
+      database_id: config.notion.databaseId,
+    });
+    databaseProperties = database.properties;
+  }
+  return databaseProperties;
+}
+
 /**
  * Mark article as complete with podcast link
+ * Categories go into the Category column as whatever type it has (multi-select
+ * keeps them all). Metadata (author, publisher, publishedAt, canonicalUrl) is
+ * written only to columns that exist in the database
  */
-export async function markComplete(pageId, { podcastUrl, category, title }) {
+export async function markComplete(pageId, { podcastUrl, categories, title, ...metadata }) {
   const properties = {
     Status: {
       select: { name: 'Complete' },
@@ -64,19 +148,60 @@ export async function markComplete(pageId, { podcastUrl, category, title }) {
     };
   }
 
-  if (category) {
-    // Category is rich_text, not select
-    properties['Category'] = {
-      rich_text: [{ text: { content: category } }],
-    };
-  }
-
   if (title) {
     properties['Name'] = {
       title: [{ text: { content: title } }],
     };
   }
 
+  const schema = await getDatabaseProperties().catch(() => ({}));
+
+  // Without the schema, assume the original rich_text Category column
+  const category = toPropertyValue(schema.Category?.type || 'rich_text', categories);
+  if (category) properties.Category = category;
+  for (const [field, column] of Object.entries(METADATA_COLUMNS)) {
+    const value = toPropertyValue(schema[column]?.type, metadata[field]);
+    if (value) properties[column] = value;
+  }
+
+  await notion.pages.update({
+    page_id: pageId,
+    properties,
+  });
+}
+
+/**
+ * Mark a row as a duplicate of an existing episode
+ * The row is completed with the existing podcast link; the "Duplicate Of" column
+ * (relation, URL or text) points at the original when the database has one
+ * @param {string} pageId
+ * @param {Object} original - Episode library entry ({ title, urls, podcastUrl, notionPageId })
+ */
+export async function markDuplicate(pageId, original) {
+  const properties = {
+    Status: {
+      select: { name: 'Complete' },
+    },
+    Processed: {
+      date: { start: new Date().toISOString().split('T')[0] },
+    },
+  };
+
+  if (original.podcastUrl) {
+    properties['Podcast Link'] = {
+      url: original.podcastUrl,
+    };
+  }
+
+  const schema = await getDatabaseProperties().catch(() => ({}));
+  const type = schema[DUPLICATE_COLUMN]?.type;
+  if (type === 'relation' && original.notionPageId) {
+    properties[DUPLICATE_COLUMN] = { relation: [{ id: original.notionPageId }] };
+  } else {
+    const value = toPropertyValue(type, type === 'url' ? original.urls[0] : original.title || original.urls[0]);
+    if (value) properties[DUPLICATE_COLUMN] = value;
+  }
+
   await notion.pages.update({
     page_id: pageId,
     properties,
@@ -85,16 +210,22 @@ export async function markComplete(pageId, { podcastUrl, category, title }) {
 
 /**
  * Mark article as errored
+ * The message is written to an "Error" column when the database has one
  */
 export async function markError(pageId, errorMessage) {
+  const properties = {
+    Status: {
+      select: { name: 'Error' },
+    },
+  };
+
+  const schema = await getDatabaseProperties().catch(() => ({}));
+  const value = toPropertyValue(schema[ERROR_COLUMN]?.type, errorMessage);
+  if (value) properties[ERROR_COLUMN] = value;
+
   await notion.pages.update({
     page_id: pageId,
-    properties: {
-      Status: {
-        select: { name: 'Error' },
-      },
-      // Could add error notes if there's a Notes column
-    },
+    properties,
   });
   console.error(`Error processing ${pageId}: ${errorMessage}`);
 }
@@ -140,6 +271,18 @@ function getUrlProperty(page) {
   return null;
 }
 
+/**
+ * Category column as a list, whatever its type (text is split on commas)
+ */
+function getCategoryProperty(page) {
+  const prop = page.properties.Category;
+  if (!prop) return [];
+  if (prop.multi_select) return prop.multi_select.map(option => option.name);
+  if (prop.select) return [prop.select.name];
+  const text = (prop.rich_text || []).map(part => part.plain_text).join('');
+  return text.split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
 function getTitleProperty(page) {
   // Database uses 'Name' as the title column
   const titleProp = page.properties.Name || page.properties.Title;
@@ -147,6 +290,37 @@ function getTitleProperty(page) {
   return null;
 }
 
+/**
+ * Convert a plain value to a Notion property value for the given column type
+ * Returns null when the column is missing or the value doesn't fit
+ */
+function toPropertyValue(type, value) {
+  if (!type || value === undefined || value === null || value === '') return null;
+  if (Array.isArray(value)) {
+    if (value.length === 0) return null;
+    if (type === 'multi_select') {
+      return { multi_select: value.map(name => ({ name: String(name).replace(/,/g, ' ').slice(0, 100) })) };
+    }
+    value = type === 'select' ? value[0] : value.join(', ');
+  }
+  const text = String(value).slice(0, 2000);
+
+  switch (type) {
+    case 'rich_text':
+      return { rich_text: [{ text: { content: text } }] };
+    case 'url':
+      return { url: text };
+    case 'date':
+      return { date: { start: text.split('T')[0] } };
+    case 'select':
+      return { select: { name: text.replace(/,/g, ' ').slice(0, 100) } };
+    case 'multi_select':
+      return { multi_select: [{ name: text.replace(/,/g, ' ').slice(0, 100) }] };
+    default:
+      return null;
+  }
+}
+
 function getStatusProperty(page) {
   const statusProp = page.properties.Status;
   return statusProp?.select?.name || null;
@@ -154,8 +328,12 @@ function getStatusProperty(page) {
 
 export default {
   getNewArticles,
+  getAllUrls,
+  createArticle,
   updateStatus,
   markComplete,
+  markDuplicate,
   markError,
   getDatabaseStats,
+  getDatabaseProperties,
 };
@@ -0,0 +1,211 @@
+/**
+ * PDF extraction for read-later-podcast
+ * Uses poppler's pdftotext/pdfinfo for papers, reports and whitepapers
+ */
+
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { writeFileSync, unlinkSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { blocksToText } from './readability.js';
+
+const execFileAsync = promisify(execFile);
+
+// Section headings used by most papers and reports
+const NAMED_HEADING = /^(abstract|introduction|background|related work|method(s|ology)?|approach|experiments?|evaluation|results|discussion|limitations|conclusions?|future work|summary|executive summary|acknowledg(e)?ments?|appendix( [a-z])?)$/i;
+
+// "1 Introduction", "3.2 Training Setup", "IV. RESULTS"
+const NUMBERED_HEADING = /^((\d+(\.\d+){0,2})|([IVX]+))\.?\s+([A-Z][^.!?]{2,80})$/;
+
+// Where the reference list starts - everything after it is dropped
+const REFERENCES_HEADING = /^(\d+\.?\s+)?(references|bibliography|works cited|literature cited)$/i;
+
+/**
+ * Check if a URL points at a PDF
+ */
+export function isPdfUrl(url) {
+  try {
+    const { hostname, pathname } = new URL(url);
+    return /\.pdf$/i.test(pathname) || (/arxiv\.org$/.test(hostname) && pathname.startsWith('/pdf/'));
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Normalize a line so page-specific numbers don't stop header/footer matching
+ */
+function lineSignature(line) {
+  return line.trim().toLowerCase().replace(/\d+/g, '#');
+}
+
+/**
+ * Find lines repeated at the top or bottom of most pages (running headers/footers)
+ */
+function findRunningLines(pages) {
+  if (pages.length < 3) return new Set();
+
+  const counts = new Map();
+  for (const lines of pages) {
+    const edges = new Set([...lines.slice(0, 3), ...lines.slice(-3)].map(lineSignature));
+    for (const signature of edges) {
+      counts.set(signature, (counts.get(signature) || 0) + 1);
+    }
+  }
+
+  const threshold = Math.max(2, Math.ceil(pages.length * 0.5));
+  return new Set([...counts].filter(([, count]) => count >= threshold).map(([signature]) => signature));
+}
+
+/**
+ * Turn pdftotext output into headings and paragraphs
+ * @param {string} text - pdftotext output; pages separated by form feeds
+ * @returns {Object} { blocks, sections, firstLines }
+ */
+export function parsePdfText(text) {
+  const pages = text.split('\f')
+    .map(page => page.split('\n').map(line => line.replace(/\s+$/, '')))
+    .filter(lines => lines.some(line => line.trim()));
+
+  const running = findRunningLines(pages.map(lines => lines.filter(line => line.trim())));
+
+  // Flatten pages, dropping running headers/footers and bare page numbers
+  const lines = [];
+  for (const page of pages) {
+    for (const line of page) {
+      const trimmed = line.trim();
+      if (trimmed && (running.has(lineSignature(trimmed)) || /^(page\s+)?\d+(\s*(of|\/)\s*\d+)?$/i.test(trimmed))) {
+        continue;
+      }
+      lines.push(trimmed);
+    }
+    lines.push('');
+  }
+
+  // Cut the reference list (last "References" heading in the second half)
+  const refIndex = lines.findLastIndex(line => REFERENCES_HEADING.test(line));
+  const body = refIndex > lines.length * 0.5 ? lines.slice(0, refIndex) : lines;
+
+  const blocks = [];
+  let paragraph = [];
+  const flush = () => {
+    if (paragraph.length === 0) return;
+    // Re-join words hyphenated across line breaks
+    const text = paragraph.join('\n')
+      .replace(/(\w)-\n(\w)/g, '$1$2')
+      .replace(/\s*\n\s*/g, ' ')
+      .trim();
+    if (text) blocks.push({ type: 'paragraph', text });
+    paragraph = [];
+  };
+
+  for (const line of body) {
+    if (!line) {
+      flush();
+      continue;
+    }
+    const numbered = line.match(NUMBERED_HEADING);
+    if (NAMED_HEADING.test(line) || (numbered && line.split(' ').length <= 10)) {
+      flush();
+      const level = numbered && numbered[2] ? numbered[2].split('.').length + 1 : 2;
+      blocks.push({ type: 'heading', level, text: line });
+      continue;
+    }
+    paragraph.push(line);
+  }
+  flush();
+
+  return {
+    blocks,
+    sections: blocks.filter(block => block.type === 'heading').map(block => block.text),
+    firstLines: lines.filter(Boolean).slice(0, 5),
+  };
+}
+
+/**
+ * Read the PDF's document info (Title, Author, CreationDate, Pages)
+ */
+async function readPdfInfo(path) {
+  try {
+    const { stdout } = await execFileAsync('pdfinfo', [path], { encoding: 'utf-8', timeout: 30000 });
+    const info = {};
+    for (const line of stdout.split('\n')) {
+      const match = line.match(/^([^:]+):\s*(.*)$/);
+      if (match) info[match[1].trim()] = match[2].trim();
+    }
+    return info;
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Pick a usable title: document info if it looks real, else the first line of page one
+ */
+function pickTitle(info, firstLines) {
+  const infoTitle = info.Title || '';
+  const looksGenerated = !infoTitle ||
+    /^(microsoft (word|powerpoint)|untitled|document\d*)\b/i.test(infoTitle) ||
+    /\.(docx?|pdf|tex|dvi)$/i.test(infoTitle);
+  if (!looksGenerated) return infoTitle;
+
+  return firstLines.find(line => line.length > 10 && line.length < 200) || 'Untitled Document';
+}
+
+/**
+ * Extract an article object from PDF bytes
+ * @param {Buffer} buffer - PDF file contents
+ * @param {string} url - Where it came from
+ * @returns {Object} Article object (same shape as content.fetchArticle)
+ */
+export async function extractPdf(buffer, url) {
+  const tempPath = join(tmpdir(), `pdf_${Date.now()}_${process.pid}.pdf`);
+  writeFileSync(tempPath, buffer);
+
+  try {
+    const info = await readPdfInfo(tempPath);
+    let stdout;
+    try {
+      ({ stdout } = await execFileAsync('pdftotext', ['-enc', 'UTF-8', tempPath, '-'], {
+        encoding: 'utf-8',
+        timeout: 120000,
+        maxBuffer: 50 * 1024 * 1024,
+      }));
+    } catch (error) {
+      throw new Error(`pdftotext failed (is poppler-utils installed?): ${error.message}`);
+    }
+
+    const { blocks, sections, firstLines } = parsePdfText(stdout);
+    const content = blocksToText(blocks);
+    const publishedAt = info.CreationDate && !Number.isNaN(Date.parse(info.CreationDate))
+      ? new Date(info.CreationDate).toISOString()
+      : null;
+
+    console.log(`  ✓ PDF extracted: ${info.Pages || '?'} pages, ${sections.length} sections`);
+
+    return {
+      url,
+      title: pickTitle(info, firstLines),
+      author: info.Author || null,
+      publisher: null,
+      publishedAt,
+      canonicalUrl: url,
+      content,
+      blocks,
+      sections,
+      wordCount: content.split(/\s+/).filter(word => word.length > 0).length,
+      fetchedAt: new Date().toISOString(),
+      isPdf: true,
+      pageCount: Number(info.Pages) || null,
+    };
+  } finally {
+    try { unlinkSync(tempPath); } catch (e) { /* ignore */ }
+  }
+}
+
+export default {
+  isPdfUrl,
+  parsePdfText,
+  extractPdf,
+};
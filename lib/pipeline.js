@@ -0,0 +1,414 @@
+/**
+ * Shared processing pipeline for read-later-podcast
+ * Every entry point (server, CLI, batch runner) runs sources through here
+ */
+
+import { EventEmitter } from 'events';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { config } from './config.js';
+import * as notion from './notion.js';
+import * as content from './content.js';
+import * as scriptGen from './script-gen.js';
+import * as tts from './tts.js';
+import { uploadToGitHub } from './github-upload.js';
+import { openCheckpoint } from './checkpoint.js';
+import { assertQuality } from './quality.js';
+import { categorize } from './categorize.js';
+import { loadLocalSource } from './local-files.js';
+import * as library from './library.js';
+import { writeShowNotes } from './show-notes.js';
+import { isCollectionSource } from './collections.js';
+
+/**
+ * Stage names, in execution order
+ */
+export const STAGES = ['fetch', 'quality', 'dedupe', 'categorize', 'expand', 'script', 'audio', 'upload', 'notion'];
+
+// Rough share of total run time per stage, used for overall percent complete
+const STAGE_WEIGHTS = {
+  fetch: 5,
+  quality: 1,
+  dedupe: 1,
+  categorize: 1,
+  expand: 10,
+  script: 20,
+  audio: 55,
+  upload: 7,
+  notion: 2,
+};
+
+/**
+ * Turn a title into a file-safe slug
+ */
+export function slugify(title) {
+  return (title || 'untitled')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .slice(0, 50)
+    .replace(/^-+|-+$/g, '') || 'untitled';
+}
+
+/**
+ * Run a single source item through the full pipeline
+ *
+ * Emits on options.events:
+ *   'stage'    { stage, status: 'start' | 'complete' | 'restored' | 'skipped' | 'failed', overall, ms?, error? }
+ *   'progress' { stage, current, total, percent, overall }
+ *
+ * `overall` is the estimated percent complete for the whole run.
+ *
+ * @param {Object} source - { url, notionPageId?, article?, categories?, audioUrl?, format? } or { path, chapter? } for local files
+ *   (article: already-fetched content, e.g. from a full-text feed; audioUrl: a podcast feed's enclosure;
+ *   format: script format, default 'summarize' for podcast episodes and 'discussion' otherwise)
+ * @param {Object} options
+ * @param {EventEmitter} [options.events] - Receives stage and progress events
+ * @param {boolean} [options.upload=true] - Upload the finished MP3 to GitHub
+ * @param {string} [options.outputDir] - Where to write audio (default: config.output.dir)
+ * @param {string} [options.fromStage] - Re-run this stage and everything after it, ignoring checkpoints
+ * @param {string} [options.stopAfter] - Stop once this stage is done ('script' for review before TTS)
+ * @param {Object} [options.script] - Pre-written script; skips fetch, categorize, expand and script
+ * @param {boolean} [options.allowDuplicates=false] - Render even if the library already has this URL or text
+ * @returns {Object} Structured result; never throws for stage failures
+ */
+export async function runPipeline(source, options = {}) {
+  const events = options.events || new EventEmitter();
+  const upload = options.upload !== false;
+  const outputDir = options.outputDir || join(process.cwd(), config.output.dir);
+
+  const result = {
+    success: false,
+    source,
+    title: null,
+    category: null,
+    tags: [],
+    wordCount: 0,
+    expanded: false,
+    research: null,
+    scriptFormat: null,
+    podcastPath: null,
+    podcastUrl: null,
+    duration: null,
+    stages: {},
+  };
+
+  // Percent of the run finished, counting a fraction of the stage in flight
+  const totalWeight = Object.values(STAGE_WEIGHTS).reduce((sum, w) => sum + w, 0);
+  const overall = (current = null, fraction = 0) => {
+    let done = 0;
+    for (const [name, info] of Object.entries(result.stages)) {
+      if (info.status !== 'failed') done += STAGE_WEIGHTS[name];
+    }
+    if (current) done += STAGE_WEIGHTS[current] * fraction;
+    return Math.min(100, Math.round((done / totalWeight) * 100));
+  };
+
+  const emitStage = (name, status, extra = {}) => {
+    events.emit('stage', { stage: name, status, overall: overall(), ...extra });
+  };
+
+  const stage = async (name, fn) => {
+    emitStage(name, 'start');
+    const started = Date.now();
+    try {
+      const value = await fn();
+      const ms = Date.now() - started;
+      result.stages[name] = { status: 'complete', ms };
+      emitStage(name, 'complete', { ms });
+      return value;
+    } catch (error) {
+      result.stages[name] = { status: 'failed', error: error.message };
+      emitStage(name, 'failed', { error: error.message });
+      error.stage = name;
+      throw error;
+    }
+  };
+
+  const restore = (name) => {
+    result.stages[name] = { status: 'restored' };
+    emitStage(name, 'restored');
+  };
+
+  // Restore a stage from its checkpoint, or run it and save the output
+  const checkpointed = async (checkpoint, name, fn) => {
+    if (checkpoint.has(name)) {
+      restore(name);
+      return checkpoint.load(name);
+    }
+    const value = await stage(name, fn);
+    checkpoint.save(name, value);
+    return value;
+  };
+
+  const skip = (name) => {
+    result.stages[name] = { status: 'skipped' };
+    emitStage(name, 'skipped');
+  };
+
+  // Point the source at the episode that already covers it instead of rendering again
+  const finishAsDuplicate = async ({ entry, reason }) => {
+    result.duplicateOf = { ...entry, reason };
+    result.podcastUrl = entry.podcastUrl;
+    console.log(`  ⏭️ Duplicate of "${entry.title || entry.urls[0]}" (same ${reason === 'url' ? 'URL' : 'text'})`);
+
+    for (const name of STAGES) {
+      if (!result.stages[name] && name !== 'notion') skip(name);
+    }
+    if (source.notionPageId && !options.stopAfter) {
+      await stage('notion', () => notion.markDuplicate(source.notionPageId, entry));
+    } else {
+      skip('notion');
+    }
+    result.success = true;
+    return result;
+  };
+
+  try {
+    const checkpoint = openCheckpoint(source, { stages: STAGES, fromStage: options.fromStage });
+    result.checkpointDir = checkpoint.dir;
+
+    // Partial runs don't own the Notion row
+    if (source.notionPageId && !options.stopAfter) {
+      await notion.updateStatus(source.notionPageId, 'Processing');
+    }
+
+    let finalArticle;
+    let script;
+    let fingerprint = null;
+    let sourceUrls = [];
+
+    if (options.script) {
+      // Render-only: the script was written (or edited) outside the pipeline
+      skip('fetch');
+      skip('quality');
+      skip('dedupe');
+      skip('categorize');
+      skip('expand');
+      finalArticle = { title: source.title || 'Untitled Episode' };
+      result.title = finalArticle.title;
+
+      // Keep already-rendered segments only if what is said is unchanged; word counts
+      // and spacing can differ after a round trip through the script file
+      const spoken = ({ segments }) =>
+        JSON.stringify(segments.map(seg => [seg.speaker, seg.text.replace(/\s+/g, ' ').trim()]));
+      const unchanged = checkpoint.has('script') && spoken(checkpoint.load('script')) === spoken(options.script);
+      if (unchanged) {
+        restore('script');
+        script = scriptGen.scriptFromSegments(options.script.segments);
+      } else {
+        script = await stage('script', () => scriptGen.scriptFromSegments(options.script.segments));
+        checkpoint.save('script', script);
+      }
+    } else {
+      // Known URL: no need to fetch it again to find out
+      // (a playlist or channel URL is a different recap whenever its videos change)
+      const known = !options.allowDuplicates && source.url && !isCollectionSource(source) &&
+        library.findDuplicate({ key: checkpoint.key, urls: [source.url], notionPageId: source.notionPageId });
+      if (known) return await finishAsDuplicate(known);
+
+      // 1. Fetch
+      let article;
+      if (source.path) {
+        // Local files are re-read every run; later stages are reused only while the text is unchanged
+        const fresh = await stage('fetch', () => loadLocalSource(source.path, { chapter: source.chapter }));
+        const unchanged = checkpoint.has('fetch') && checkpoint.load('fetch').content === fresh.content;
+        article = unchanged ? checkpoint.load('fetch') : fresh;
+        if (!unchanged) checkpoint.save('fetch', fresh);
+      } else {
+        article = await checkpointed(checkpoint, 'fetch', () =>
+          source.article || content.fetchArticle(source.url, {
+            collection: source.collection,
+            audioUrl: source.audioUrl,
+            title: source.title,
+          }));
+      }
+      result.title = article.title;
+      result.wordCount = article.wordCount;
+
+      // 2. Quality gate - stop before any LLM or TTS work on a junk page
+      try {
+        await stage('quality', () => assertQuality(article));
+      } catch (error) {
+        // Don't resume from the junk page; a later run should fetch again
+        checkpoint.discard('fetch');
+        result.rejected = true;
+        throw error;
+      }
+
+      // 3. Dedupe - the page's rel=canonical or its text may match an episode saved under another URL
+      fingerprint = library.contentFingerprint(article.content);
+      // A series recap is matched by its text only; its URL lists different videos over time
+      sourceUrls = article.series ? [] : [source.url, article.url, article.canonicalUrl];
+      if (options.allowDuplicates) {
+        skip('dedupe');
+      } else {
+        const duplicate = await stage('dedupe', () => library.findDuplicate({
+          key: checkpoint.key,
+          urls: sourceUrls,
+          fingerprint,
+          notionPageId: source.notionPageId,
+        }));
+        if (duplicate) return await finishAsDuplicate(duplicate);
+      }
+
+      // 4. Categorize
+      // Tags carried over from an import or set on the Notion row win over detection
+      const tagging = await stage('categorize', () => (source.categories?.length
+        ? { tags: source.categories.map(name => ({ name, score: null, source: 'source' })) }
+        : categorize(article)));
+      result.tags = tagging.tags;
+      result.category = tagging.tags[0]?.name || null;
+
+      // 5. Expand if too short (highlight reels cut material down; they never need more)
+      const format = source.format || (article.isPodcast ? config.podcast.scriptFormat : 'discussion');
+      result.scriptFormat = format;
+      finalArticle = article;
+      if (format !== 'summarize' && content.needsExpansion(article.wordCount)) {
+        finalArticle = await checkpointed(checkpoint, 'expand', () =>
+          content.expandContent(article, config.content.minWordsForPodcast));
+        result.expanded = Boolean(finalArticle.expanded);
+        result.research = finalArticle.research || null;
+        result.wordCount = finalArticle.wordCount;
+      } else {
+        skip('expand');
+      }
+
+      // 6. Script
+      script = await checkpointed(checkpoint, 'script', () => scriptGen.generateScript(finalArticle, { format }));
+    }
+    result.script = script;
+    result.duration = script.estimatedMinutes;
+
+    if (options.stopAfter === 'script') {
+      result.success = true;
+      return result;
+    }
+
+    // 7. Audio (the slug is pinned on first run so resumes keep the same file name)
+    if (!checkpoint.get('slug')) {
+      const date = new Date().toISOString().split('T')[0];
+      let slug = `${date}-${slugify(finalArticle.title)}`;
+      // Another episode with the same title today keeps its file
+      if (existsSync(join(outputDir, `${slug}.mp3`))) slug += `-${checkpoint.key.slice(0, 6)}`;
+      checkpoint.set('slug', slug);
+    }
+    if (checkpoint.has('audio')) {
+      restore('audio');
+      result.podcastPath = checkpoint.get('podcastPath');
+    } else {
+      result.podcastPath = await stage('audio', () =>
+        tts.generatePodcast(script, outputDir, checkpoint.get('slug'), {
+          segmentsDir: checkpoint.segmentsDir,
+          onProgress: ({ current, total }) => {
+            events.emit('progress', {
+              stage: 'audio',
+              current,
+              total,
+              percent: Math.round((current / total) * 100),
+              overall: overall('audio', current / total),
+            });
+          },
+        }));
+      checkpoint.set('podcastPath', result.podcastPath);
+      checkpoint.save('audio');
+    }
+    result.podcastUrl = result.podcastPath;
+
+    // 8. Upload (non-fatal: falls back to the local path)
+    if (upload && checkpoint.has('upload')) {
+      restore('upload');
+      result.podcastUrl = checkpoint.get('podcastUrl');
+    } else if (upload) {
+      try {
+        result.podcastUrl = await stage('upload', () => uploadToGitHub(result.podcastPath));
+        checkpoint.set('podcastUrl', result.podcastUrl);
+        checkpoint.save('upload');
+      } catch (uploadErr) {
+        console.warn(`  ⚠️ GitHub upload failed: ${uploadErr.message}`);
+        console.warn(`  Using local path: ${result.podcastPath}`);
+      }
+    } else {
+      skip('upload');
+    }
+
+    // Show notes sit next to the MP3 (cheap, so rewritten on every run)
+    result.showNotesPath = writeShowNotes(
+      result.podcastPath.replace(/\.mp3$/, '') + '.notes.md',
+      finalArticle,
+      script,
+      { podcastUrl: result.podcastUrl, categories: result.tags.map(tag => tag.name) }
+    );
+
+    // 9. Notion
+    if (source.notionPageId) {
+      await stage('notion', () => notion.markComplete(source.notionPageId, {
+        podcastUrl: result.podcastUrl,
+        categories: source.categories?.length ? null : result.tags.map(tag => tag.name),
+        title: finalArticle.title,
+        author: finalArticle.author,
+        publisher: finalArticle.publisher,
+        publishedAt: finalArticle.publishedAt,
+        canonicalUrl: finalArticle.canonicalUrl,
+      }));
+    } else {
+      skip('notion');
+    }
+
+    if (!options.script) {
+      library.recordEpisode({
+        key: checkpoint.key,
+        urls: sourceUrls,
+        fingerprint,
+        title: finalArticle.title,
+        podcastUrl: result.podcastUrl,
+        notionPageId: source.notionPageId,
+      });
+    }
+
+    checkpoint.clearSegments();
+    result.success = true;
+  } catch (error) {
+    result.error = error.message;
+    result.failedStage = error.stage || null;
+
+    if (source.notionPageId && !options.stopAfter) {
+      try {
+        await notion.markError(source.notionPageId, error.message);
+      } catch (notionErr) {
+        console.error(`  Could not mark Notion row as errored: ${notionErr.message}`);
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Print stage and progress events to the console
+ * Used by the CLI scripts and the server so they all report the same way
+ */
+export function reportToConsole(events) {
+  events.on('stage', ({ stage, status, error }) => {
+    if (status === 'start') {
+      console.log(`  ▶ ${stage}`);
+    } else if (status === 'restored') {
+      console.log(`  ↺ ${stage} (from checkpoint)`);
+    } else if (status === 'failed') {
+      console.log(`  ✗ ${stage}: ${error}`);
+    }
+  });
+
+  events.on('progress', ({ current, total, percent }) => {
+    process.stdout.write(`\r  Progress: ${current}/${total} (${percent}%)`);
+    if (current === total) process.stdout.write('\n');
+  });
+
+  return events;
+}
+
+export default {
+  STAGES,
+  slugify,
+  runPipeline,
+  reportToConsole,
+};
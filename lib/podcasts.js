@@ -0,0 +1,380 @@
+/**
+ * Podcast episode ingestion for read-later-podcast
+ * Downloads episode audio (yt-dlp for episode pages, plain HTTP for RSS
+ * enclosures and audio files), transcribes it locally with whisper.cpp,
+ * and drops ads, sponsor reads, intros and outros before script writing
+ */
+
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { readFileSync, writeFileSync, existsSync, statSync, mkdtempSync, rmSync, readdirSync } from 'fs';
+import { join, extname } from 'path';
+import { tmpdir } from 'os';
+import { config } from './config.js';
+import { fetchUrl } from './http.js';
+import { callClaude, hasLlmKey } from './llm.js';
+import { formatTimestamp } from './youtube.js';
+import { translateTexts, languageName, isEnglish } from './translate.js';
+
+const execFileAsync = promisify(execFile);
+
+// Episode pages yt-dlp can download from (Spotify is recognized only to explain why it can't)
+const EPISODE_PAGES = [
+  /^https?:\/\/podcasts\.apple\.com\/.+[?&]i=\d+/,
+  /^https?:\/\/open\.spotify\.com\/episode\//,
+  /^https?:\/\/(www\.)?overcast\.fm\/\+/,
+  /^https?:\/\/(pca\.st\/episode\/|play\.pocketcasts\.com\/podcasts\/[^/]+\/[^/]+)/,
+  /^https?:\/\/(www\.)?castbox\.fm\/episode\//,
+];
+
+const AUDIO_EXTENSIONS = new Set(['.mp3', '.m4a', '.aac', '.ogg', '.oga', '.opus', '.wav', '.flac']);
+
+// Transcript windows the ad/intro check looks at
+const WINDOW_SECONDS = 30;
+const WINDOWS_PER_REQUEST = 80;
+const PARAGRAPH_SECONDS = 120;
+
+// Used when the LLM check is unavailable; catches sponsor reads and plugs, not intros
+const AD_PATTERN = /\b(sponsored by|brought to you by|promo code|offer code|use (the )?code|free trial|percent off|support for (this|the) (show|podcast) comes from|this (episode|show) is (sponsored|supported) by)\b/i;
+const HOUSEKEEPING_PATTERN = /\b(rate and review|leave (us )?a review|patreon|subscribe wherever you)\b/i;
+
+/**
+ * Check if URL is a direct link to an audio file
+ */
+export function isAudioFileUrl(url) {
+  try {
+    return AUDIO_EXTENSIONS.has(extname(new URL(url).pathname).toLowerCase());
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Check if URL is a podcast episode (an episode page on a podcast app, or an audio file)
+ */
+export function isPodcastUrl(url) {
+  if (!url) return false;
+  return EPISODE_PAGES.some(pattern => pattern.test(url)) || isAudioFileUrl(url);
+}
+
+/**
+ * Download an episode page's audio with yt-dlp
+ * @returns {Promise<Object>} { path, metadata }
+ */
+async function downloadWithYtDlp(url, dir) {
+  const { stdout } = await execFileAsync(
+    'yt-dlp',
+    ['-f', 'bestaudio/best', '--no-playlist', '--no-simulate', '--dump-json', '-o', join(dir, 'episode.%(ext)s'), url],
+    { encoding: 'utf-8', maxBuffer: 20 * 1024 * 1024, timeout: config.podcast.downloadTimeoutMs }
+  );
+  const data = JSON.parse(stdout);
+  const path = data.requested_downloads?.[0]?.filepath ||
+    readdirSync(dir).filter(name => name.startsWith('episode.')).map(name => join(dir, name))[0];
+  if (!path || !existsSync(path)) {
+    throw new Error('yt-dlp did not save the episode audio');
+  }
+
+  const date = String(data.upload_date || '').match(/^(\d{4})(\d{2})(\d{2})$/);
+  return {
+    path,
+    metadata: {
+      title: data.title || null,
+      show: data.series || data.album || data.playlist_title || data.uploader || null,
+      author: data.artist || data.uploader || null,
+      description: data.description || '',
+      duration: data.duration || 0,
+      publishedAt: date ? `${date[1]}-${date[2]}-${date[3]}T00:00:00.000Z` : null,
+    },
+  };
+}
+
+/**
+ * Download an RSS enclosure or audio file over HTTP (same safety checks as article fetches)
+ */
+async function downloadAudioFile(url, dir) {
+  const response = await fetchUrl(url, {
+    accept: 'audio/*,*/*;q=0.5',
+    maxBytes: config.podcast.maxAudioBytes,
+    timeoutMs: config.podcast.downloadTimeoutMs,
+  });
+  const path = join(dir, `episode${extname(new URL(response.url).pathname) || '.mp3'}`);
+  writeFileSync(path, response.body);
+  return path;
+}
+
+/**
+ * Convert any audio to the 16 kHz mono WAV whisper.cpp reads
+ * @returns {Promise<number>} Duration in seconds
+ */
+async function toWav(input, output) {
+  await execFileAsync(
+    'ffmpeg',
+    ['-y', '-i', input, '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', output],
+    { maxBuffer: 10 * 1024 * 1024, timeout: 10 * 60 * 1000 }
+  );
+  // 16-bit mono at 16 kHz, after the 44-byte header
+  return Math.max(0, (statSync(output).size - 44) / 32000);
+}
+
+/**
+ * Transcribe a WAV file with whisper.cpp
+ * @returns {Promise<Object>} { language, segments: [{ start, end, text }] } - times in seconds
+ */
+async function transcribe(wavPath) {
+  const { binary, model, threads, language, timeoutMinutes } = config.podcast.whisper;
+  if (!existsSync(model)) {
+    throw new Error(`Whisper model not found at ${model} (set WHISPER_MODEL)`);
+  }
+
+  const outBase = wavPath.replace(/\.wav$/, '');
+  try {
+    await execFileAsync(
+      binary,
+      ['-m', model, '-f', wavPath, '-t', String(threads), '-l', language, '-oj', '-of', outBase, '-np'],
+      { maxBuffer: 50 * 1024 * 1024, timeout: timeoutMinutes * 60 * 1000 }
+    );
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`whisper.cpp not found at ${binary} (set WHISPER_CPP_PATH)`);
+    }
+    throw error;
+  }
+
+  const data = JSON.parse(readFileSync(`${outBase}.json`, 'utf-8'));
+  const segments = (data.transcription || [])
+    .map(segment => ({
+      start: segment.offsets.from / 1000,
+      end: segment.offsets.to / 1000,
+      text: segment.text.trim(),
+    }))
+    // Non-speech markers: [BLANK_AUDIO], [Music], (laughs)
+    .filter(segment => segment.text && !/^[[(][^\])]*[\])]$/.test(segment.text));
+
+  return { language: data.result?.language || (language === 'auto' ? null : language), segments };
+}
+
+/**
+ * Group whisper's short segments into windows of about WINDOW_SECONDS
+ * @returns {Object[]} [{ start, end, text }]
+ */
+function toWindows(segments) {
+  const windows = [];
+  let current = null;
+  for (const segment of segments) {
+    if (!current || segment.start - current.start >= WINDOW_SECONDS) {
+      current = { start: segment.start, end: segment.end, text: segment.text };
+      windows.push(current);
+    } else {
+      current.end = segment.end;
+      current.text += ` ${segment.text}`;
+    }
+  }
+  return windows;
+}
+
+/**
+ * Ask the LLM which windows are ads, intros, outros or housekeeping
+ * @returns {Promise<Map>} window index → reason
+ */
+async function classifyWindowsWithLlm(windows, title) {
+  const flagged = new Map();
+  for (let offset = 0; offset < windows.length; offset += WINDOWS_PER_REQUEST) {
+    const batch = windows.slice(offset, offset + WINDOWS_PER_REQUEST);
+    const lines = batch.map((window, i) => `[${offset + i + 1}] (${formatTimestamp(window.start)}) ${window.text}`);
+    const prompt = `Below is part of the transcript of the podcast episode "${title}", in numbered windows of about ${WINDOW_SECONDS} seconds (windows ${offset + 1}-${offset + batch.length} of ${windows.length}).
+
+Which windows are NOT episode content? That means ads and sponsor reads, promos for other shows, the show's intro or outro (theme, "welcome to the show", "thanks for listening"), and housekeeping (rate and review, Patreon, newsletter plugs). A window that is mostly real discussion counts as content.
+
+Reply with a JSON array like [{"window": 3, "reason": "ad"}] (reason: ad, intro, outro or housekeeping) and nothing else, or [] if every window is content.
+
+${lines.join('\n')}`;
+
+    const reply = await callClaude(prompt, { maxTokens: 1500, temperature: 0 });
+    const match = reply.match(/\[[\s\S]*\]/);
+    for (const item of match ? JSON.parse(match[0]) : []) {
+      const index = Number(item?.window) - 1;
+      if (index >= offset && index < offset + batch.length) {
+        flagged.set(index, String(item.reason || 'ad'));
+      }
+    }
+  }
+  return flagged;
+}
+
+/**
+ * Keyword check for sponsor reads and plugs
+ * @returns {Map} window index → reason
+ */
+function classifyWindowsByKeywords(windows) {
+  const flagged = new Map();
+  windows.forEach((window, i) => {
+    if (AD_PATTERN.test(window.text)) flagged.set(i, 'ad');
+    else if (HOUSEKEEPING_PATTERN.test(window.text)) flagged.set(i, 'housekeeping');
+  });
+  return flagged;
+}
+
+/**
+ * Drop ads, intros, outros and housekeeping
+ * Uses the LLM when a key is set, else keywords. If more than half the episode
+ * is flagged the check has misread it, and nothing is removed.
+ * @returns {Promise<Object>} { kept: windows, removed: [{ start, end, reason }] }
+ */
+async function removeNonContent(windows, title) {
+  let flagged;
+  try {
+    flagged = hasLlmKey() ? await classifyWindowsWithLlm(windows, title) : classifyWindowsByKeywords(windows);
+  } catch (error) {
+    console.warn(`  ⚠️ Ad check failed, using keywords: ${error.message}`);
+    flagged = classifyWindowsByKeywords(windows);
+  }
+
+  const length = (list) => list.reduce((sum, window) => sum + (window.end - window.start), 0);
+  const dropped = windows.filter((window, i) => flagged.has(i));
+  if (length(dropped) > length(windows) / 2) {
+    console.warn(`  ⚠️ Ad check flagged most of the episode; keeping everything`);
+    return { kept: windows, removed: [] };
+  }
+
+  // Consecutive flagged windows with the same reason become one removed range
+  const removed = [];
+  windows.forEach((window, i) => {
+    if (!flagged.has(i)) return;
+    const last = removed[removed.length - 1];
+    if (last && last.index === i - 1 && last.reason === flagged.get(i)) {
+      last.end = window.end;
+      last.index = i;
+    } else {
+      removed.push({ start: window.start, end: window.end, reason: flagged.get(i), index: i });
+    }
+  });
+
+  return {
+    kept: windows.filter((window, i) => !flagged.has(i)),
+    removed: removed.map(({ start, end, reason }) => ({ start, end, reason })),
+  };
+}
+
+/**
+ * One paragraph per ~2 minutes of kept audio, broken wherever something was removed
+ */
+function transcriptParagraphs(windows) {
+  const blocks = [];
+  let current = null;
+  let previous = null;
+  for (const window of windows) {
+    const gap = previous && window.start - previous.end > WINDOW_SECONDS;
+    if (!current || gap || window.start - current.start >= PARAGRAPH_SECONDS) {
+      current = { start: window.start, texts: [] };
+      blocks.push(current);
+    }
+    current.texts.push(window.text);
+    previous = window;
+  }
+  return blocks.map(block => ({ type: 'paragraph', text: block.texts.join(' ').replace(/\s+/g, ' ').trim() }));
+}
+
+/**
+ * Download, transcribe and clean up a podcast episode
+ * @param {Object} episode
+ * @param {string} episode.url - Episode page, audio file, or the RSS item's link
+ * @param {string} [episode.audioUrl] - RSS enclosure (downloaded instead of the page)
+ * @param {string} [episode.title] - Title from the feed, if any
+ * @returns {Promise<Object>} Article-like object; podcast: { show, durationSeconds, keptSeconds, language, translated, removed }
+ */
+export async function fetchPodcastEpisode(episode) {
+  const { url } = episode;
+  if (/^https?:\/\/open\.spotify\.com\//.test(url) && !episode.audioUrl) {
+    throw new Error("Spotify episodes can't be downloaded (DRM); save the episode's Apple Podcasts link or its RSS feed instead");
+  }
+
+  const dir = mkdtempSync(join(tmpdir(), 'podcast-'));
+  try {
+    console.log(`  Downloading episode audio...`);
+    let audioPath;
+    let metadata = { title: null, show: null, author: null, description: '', duration: 0, publishedAt: null };
+    if (episode.audioUrl || isAudioFileUrl(url)) {
+      audioPath = await downloadAudioFile(episode.audioUrl || url, dir);
+    } else {
+      ({ path: audioPath, metadata } = await downloadWithYtDlp(url, dir));
+    }
+
+    const wavPath = join(dir, 'episode.wav');
+    const wavSeconds = await toWav(audioPath, wavPath);
+    const duration = metadata.duration || wavSeconds;
+
+    console.log(`  Transcribing ${Math.round(duration / 60)} minutes locally (whisper.cpp)...`);
+    const { language, segments } = await transcribe(wavPath);
+    if (segments.map(segment => segment.text).join(' ').length < 50) {
+      throw new Error('Transcript too short or empty');
+    }
+
+    const title = episode.title || metadata.title || 'Podcast Episode';
+    let windows = toWindows(segments);
+    let removed = [];
+    if (config.podcast.removeAds) {
+      ({ kept: windows, removed } = await removeNonContent(windows, title));
+      const seconds = removed.reduce((sum, range) => sum + (range.end - range.start), 0);
+      if (removed.length > 0) {
+        console.log(`  Removed ${removed.length} ad/intro/outro segment(s) (${formatTimestamp(seconds)})`);
+      }
+    }
+    const keptSeconds = windows.reduce((sum, window) => sum + (window.end - window.start), 0);
+
+    // Scripts are written in English, so other languages are translated first
+    const translated = Boolean(language) && !isEnglish(language) && config.podcast.translate;
+    if (translated) {
+      const texts = await translateTexts(windows.map(window => window.text), language);
+      windows = windows.map((window, i) => ({ ...window, text: texts[i] }));
+    }
+
+    const blocks = transcriptParagraphs(windows);
+    const spoken = language ? `${languageName(language)} speech-to-text` : 'Speech-to-text';
+    const content = `
+Episode: ${title}
+${metadata.show ? `Show: ${metadata.show}\n` : ''}Duration: ${Math.round(duration / 60)} minutes (${Math.round(keptSeconds / 60)} minutes without ads, intros and outros)
+Source: Podcast
+Transcript: ${spoken}${translated ? ', machine-translated to English' : ''}
+
+--- Episode Description ---
+${metadata.description.slice(0, 500)}
+
+--- Transcript ---
+
+${blocks.map(block => block.text).join('\n\n')}
+`.trim();
+
+    console.log(`  ✓ Transcript: ${content.split(/\s+/).length} words`);
+
+    return {
+      url,
+      title,
+      author: metadata.author,
+      publisher: metadata.show,
+      publishedAt: metadata.publishedAt,
+      content,
+      blocks,
+      podcast: {
+        show: metadata.show,
+        durationSeconds: Math.round(duration),
+        keptSeconds: Math.round(keptSeconds),
+        language,
+        translated,
+        removed,
+      },
+      wordCount: content.split(/\s+/).length,
+      fetchedAt: new Date().toISOString(),
+      isPodcast: true,
+    };
+  } catch (error) {
+    throw new Error(`Failed to get podcast episode: ${error.message}`);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+export default {
+  isPodcastUrl,
+  isAudioFileUrl,
+  fetchPodcastEpisode,
+};
@@ -0,0 +1,125 @@
+/**
+ * Content-quality gate for read-later-podcast
+ * Catches pages that aren't the article - JavaScript/bot challenges, login
+ * and paywalls, cookie banners, navigation soup - before any LLM or TTS
+ * budget is spent on them
+ */
+
+import { config } from './config.js';
+import { blocksToText } from './readability.js';
+
+// Phrases that mean the page is an interstitial, not the article
+// Each is only decisive when the page has little other text
+const BOILERPLATE = [
+  { reason: 'a bot check or Cloudflare challenge', pattern: /checking (if the site connection is secure|your browser)|just a moment\.\.\.|attention required!? \| cloudflare|verify(ing)? (that )?you are (a )?human|are you a robot|cf-browser-verification|ddos protection by|press (and hold|& hold) the button|unusual traffic from your computer/i },
+  { reason: 'a JavaScript-required page', pattern: /(please )?(enable|turn on) javascript|javascript (is )?(required|disabled)|requires javascript|you need to enable javascript/i },
+  { reason: 'an access-denied or error page', pattern: /^(403 )?(access denied|forbidden)\b|you don'?t have permission to access|(404|page) not found|this page (could not|can'?t) be found|the page you('re| are) looking for/i },
+  { reason: 'a login wall', pattern: /(sign|log) ?in to (continue|read|view|access)|you must be (signed|logged) in|create (a )?(free )?account to (continue|read)|register to (continue|read)/i },
+  { reason: 'a paywall', pattern: /subscribe (now )?to (continue|keep) reading|(this|the rest of this) (article|story|content) is (only )?(available|reserved) (to|for) (subscribers|members)|already a (subscriber|member)\?|you('ve| have) reached your (free )?(article|story) limit|become a (paid )?(subscriber|member) to (read|continue)|unlock (this|full) (article|story)/i },
+  { reason: 'a cookie-consent banner', pattern: /we use cookies|accept (all )?cookies|cookie (policy|settings|preferences)|manage (your )?(consent|privacy) (preferences|settings)|by continuing to (use|browse) (this|our) (site|website)/i },
+];
+
+/**
+ * Split text into non-empty trimmed lines
+ */
+function lines(text) {
+  return text.split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+/**
+ * Measure the signals the gate looks at
+ * @param {string} text - Extracted article text
+ * @returns {Object} { words, sentences, wordsPerSentence, shortLineShare, repeatedLineShare, boilerplate }
+ */
+export function measureContent(text) {
+  const words = text.split(/\s+/).filter(Boolean).length;
+  const sentences = (text.match(/[a-z0-9)"'’”][.!?](\s|$)/gi) || []).length;
+  const allLines = lines(text);
+
+  // Menus and tag clouds come out as many one-to-three word lines
+  const shortLines = allLines.filter(line => line.split(/\s+/).length <= 3).length;
+
+  // Navigation repeated in header and footer, "Read more" under every teaser
+  const counts = new Map();
+  for (const line of allLines) {
+    const key = line.toLowerCase();
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  const repeatedLines = [...counts.values()].filter(count => count > 1).reduce((sum, count) => sum + count, 0);
+
+  return {
+    words,
+    sentences,
+    wordsPerSentence: sentences > 0 ? words / sentences : words,
+    shortLineShare: allLines.length > 0 ? shortLines / allLines.length : 0,
+    repeatedLineShare: allLines.length > 0 ? repeatedLines / allLines.length : 0,
+    boilerplate: BOILERPLATE.filter(({ pattern }) => pattern.test(text)).map(({ reason }) => reason),
+  };
+}
+
+/**
+ * Decide whether extracted content is a real article
+ * @param {Object} article - Article object from fetchArticle
+ * @returns {Object} { ok, reason, signals } - reason is null when ok
+ */
+export function assessContent(article) {
+  const settings = config.content.quality;
+  // Code listings aren't prose; judge the text around them
+  const text = article.blocks
+    ? blocksToText(article.blocks.filter(block => block.type !== 'code'))
+    : article.content || '';
+  const signals = measureContent(text);
+  const reject = (reason) => ({ ok: false, reason, signals });
+
+  if (signals.words < settings.minWords) {
+    const what = signals.boilerplate[0] ? `looks like ${signals.boilerplate[0]}` : 'no readable article text';
+    return reject(`${what} (${signals.words} words)`);
+  }
+
+  // Interstitials are short; a long article that merely mentions cookies is fine
+  if (signals.boilerplate.length > 0 && signals.words < settings.boilerplateMaxWords) {
+    return reject(`looks like ${signals.boilerplate[0]} (${signals.words} words)`);
+  }
+
+  // Transcripts often have no punctuation and local docs may be mostly lists,
+  // so sentence and line checks only apply to web pages
+  if (article.isYouTube || article.isPodcast || article.isLocal) {
+    return { ok: true, reason: null, signals };
+  }
+
+  if (signals.sentences < settings.minSentences) {
+    return reject(`too few sentences to be an article (${signals.sentences})`);
+  }
+  if (signals.wordsPerSentence > settings.maxWordsPerSentence) {
+    return reject(`text doesn't read as prose (${Math.round(signals.wordsPerSentence)} words per sentence)`);
+  }
+  if (signals.shortLineShare > settings.maxShortLineShare) {
+    return reject(`mostly navigation or link text (${Math.round(signals.shortLineShare * 100)}% of lines are 1-3 words)`);
+  }
+  if (signals.repeatedLineShare > settings.maxRepeatedLineShare) {
+    return reject(`mostly repeated lines (${Math.round(signals.repeatedLineShare * 100)}%)`);
+  }
+
+  return { ok: true, reason: null, signals };
+}
+
+/**
+ * Throw if the article fails the quality gate
+ * @throws {Error} with error.rejected = true and a specific reason
+ */
+export function assertQuality(article) {
+  if (!config.content.quality.enabled) return;
+
+  const { ok, reason } = assessContent(article);
+  if (!ok) {
+    const error = new Error(`Page rejected: ${reason}`);
+    error.rejected = true;
+    throw error;
+  }
+}
+
+export default {
+  measureContent,
+  assessContent,
+  assertQuality,
+};
@@ -0,0 +1,331 @@
+/**
+ * Main-content extraction for read-later-podcast
+ * Finds the article body in a page and drops the chrome around it
+ * (cookie banners, share widgets, related links, comments)
+ *
+ * Loosely follows Mozilla Readability: known containers first, then
+ * paragraph scoring weighted by text density and link density.
+ */
+
+import { parse } from 'node-html-parser';
+
+// Never content
+// (<form> isn't here: ASP.NET pages wrap the whole body in one; see stripChrome)
+const STRIP_TAGS = [
+  'script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe', 'object', 'embed',
+  'button', 'input', 'select', 'textarea', 'nav', 'footer', 'aside', 'dialog',
+];
+
+// class/id patterns for page chrome
+const UNLIKELY = /cookie|consent|gdpr|banner|share|sharing|social|related|recommend|comment|disqus|newsletter|subscribe|signup|promo|advert|sponsor|outbrain|taboola|sidebar|widget|popup|modal|overlay|breadcrumb|pagination|masthead|menu|nav|footer|toolbar|byline-share|author-bio|tags|skip-link/i;
+
+// class/id patterns that suggest content; these override UNLIKELY
+const LIKELY = /article|body|content|entry|main|post|story|text|blog|prose|markdown/i;
+
+// Containers common CMSes use for the article body, most specific first
+const CONTENT_SELECTORS = [
+  '[itemprop="articleBody"]',
+  '.entry-content',
+  '.post-content',
+  '.article-content',
+  '.article-body',
+  '.article__body',
+  '.story-body',
+  '.post-body',
+  '.c-entry-content',
+  '.td-post-content',
+  '.markdown-body',
+  '.rich-text',
+  'article',
+  '[role="main"]',
+  'main',
+];
+
+const BLOCK_TAGS = new Set([
+  'p', 'div', 'section', 'article', 'main', 'header', 'ul', 'ol', 'li', 'blockquote', 'pre',
+  'table', 'tr', 'td', 'th', 'tbody', 'thead', 'figure', 'figcaption', 'h1', 'h2', 'h3', 'h4',
+  'h5', 'h6', 'dl', 'dt', 'dd', 'hr', 'br',
+]);
+
+const MIN_CONTAINER_CHARS = 500;
+const MIN_PARAGRAPH_CHARS = 25;
+
+/**
+ * Collapse whitespace in extracted text
+ */
+function clean(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+function tagOf(node) {
+  return (node.rawTagName || '').toLowerCase();
+}
+
+/**
+ * Share of an element's text that sits inside links
+ */
+function linkDensity(el) {
+  const length = clean(el.text).length;
+  if (length === 0) return 0;
+  const linkLength = el.querySelectorAll('a')
+    .reduce((sum, a) => sum + clean(a.text).length, 0);
+  return linkLength / length;
+}
+
+/**
+ * Elements that hold the article: the known containers big enough to be it, and all their ancestors
+ * Layout wrappers like <div class="wrapper has-sidebar"> or <body class="nav-open"> look like
+ * chrome by class, so these are never stripped
+ */
+function contentAncestors(root) {
+  const keep = new Set();
+  for (const el of root.querySelectorAll(CONTENT_SELECTORS.join(','))) {
+    if (clean(el.text).length < MIN_CONTAINER_CHARS) continue;
+    for (let node = el; node && !keep.has(node); node = node.parentNode) {
+      keep.add(node);
+    }
+  }
+  return keep;
+}
+
+/**
+ * Remove scripts, hidden elements and anything that looks like page chrome
+ * An element that holds the article (or, on pages without a known container,
+ * more than half the page's text) stays, whatever its class says
+ */
+function stripChrome(root) {
+  for (const el of root.querySelectorAll(STRIP_TAGS.join(','))) {
+    el.remove();
+  }
+
+  const keep = contentAncestors(root);
+  const pageChars = clean(root.text).length;
+  const holdsContent = (el) => (keep.size > 0 ? keep.has(el) : clean(el.text).length > pageChars / 2);
+
+  for (const el of root.querySelectorAll('*')) {
+    const tag = tagOf(el);
+    if (tag === 'html' || tag === 'body' || tag === 'article' || tag === 'main') continue;
+
+    if (el.getAttribute('hidden') !== undefined || el.getAttribute('aria-hidden') === 'true') {
+      el.remove();
+      continue;
+    }
+
+    const role = el.getAttribute('role') || '';
+    const signature = `${el.getAttribute('class') || ''} ${el.id || ''}`;
+    const chrome = tag === 'form' ||
+      /navigation|complementary|dialog|alertdialog|banner|contentinfo/.test(role) ||
+      (UNLIKELY.test(signature) && !LIKELY.test(signature));
+    if (chrome && !holdsContent(el)) {
+      el.remove();
+    }
+  }
+}
+
+/**
+ * Try the containers CMSes usually wrap article bodies in
+ */
+function findKnownContainer(root) {
+  for (const selector of CONTENT_SELECTORS) {
+    const matches = root.querySelectorAll(selector)
+      .filter(el => clean(el.text).length >= MIN_CONTAINER_CHARS && linkDensity(el) < 0.5);
+    if (matches.length === 0) continue;
+
+    // Several <article>s usually means a listing page; take the longest
+    return matches.sort((a, b) => clean(b.text).length - clean(a.text).length)[0];
+  }
+  return null;
+}
+
+/**
+ * Score paragraphs into their ancestors and return the best container
+ */
+function findByScoring(root) {
+  const scores = new Map();
+
+  for (const p of root.querySelectorAll('p, pre, td, blockquote')) {
+    const text = clean(p.text);
+    if (text.length < MIN_PARAGRAPH_CHARS) continue;
+
+    // Longer text with more clauses reads like prose
+    const score = 1 + text.split(/[,;]/).length + Math.min(Math.floor(text.length / 100), 3);
+
+    let ancestor = p.parentNode;
+    let weight = 1;
+    for (let level = 0; ancestor && tagOf(ancestor) && level < 3; level++) {
+      scores.set(ancestor, (scores.get(ancestor) || 0) + score * weight);
+      ancestor = ancestor.parentNode;
+      weight = level === 0 ? 0.5 : weight / 3;
+    }
+  }
+
+  let best = null;
+  let bestScore = 0;
+  for (const [el, score] of scores) {
+    const adjusted = score * (1 - linkDensity(el));
+    if (adjusted > bestScore) {
+      best = el;
+      bestScore = adjusted;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Whether an element holds only inline content (text, links, emphasis)
+ */
+function isInlineOnly(el) {
+  return el.childNodes.every(child => child.nodeType === 3 || !BLOCK_TAGS.has(tagOf(child)));
+}
+
+/**
+ * Language of a <pre> block from its (or its <code>'s) class: language-js, lang-py, highlight-source-go
+ */
+function codeLanguage(pre) {
+  const code = pre.querySelector('code');
+  const classes = `${pre.getAttribute('class') || ''} ${code?.getAttribute('class') || ''}`;
+  const match = classes.match(/(?:^|\s)(?:language|lang|highlight-source)-([\w+#-]+)/i) ||
+    [null, pre.getAttribute('data-lang') || code?.getAttribute('data-lang')];
+  return match[1] ? match[1].toLowerCase() : null;
+}
+
+/**
+ * A blockquote, with its <cite> (if any) split out as the attribution
+ */
+function quoteBlock(el, text) {
+  const cite = el.querySelector('cite');
+  const attribution = cite ? clean(cite.text) : '';
+  const quote = attribution ? clean(text.replace(attribution, '')).replace(/\s*[—–-]+$/, '') : text;
+  return { type: 'quote', text: quote || text, cite: attribution || null };
+}
+
+/**
+ * Walk a container and emit headings, paragraphs, lists, quotes and code in document order
+ * Block shapes:
+ *   { type: 'heading', level, text }
+ *   { type: 'paragraph', text }
+ *   { type: 'list', ordered, items }
+ *   { type: 'quote', text, cite }
+ *   { type: 'code', language, text } - text keeps its line breaks and indentation
+ */
+function collectBlocks(el, blocks) {
+  for (const child of el.childNodes) {
+    if (child.nodeType === 3) {
+      const text = clean(child.text);
+      if (text.length >= MIN_PARAGRAPH_CHARS) {
+        blocks.push({ type: 'paragraph', text });
+      }
+      continue;
+    }
+    if (child.nodeType !== 1) continue;
+
+    const tag = tagOf(child);
+    const text = clean(child.text);
+    if (!text) continue;
+
+    if (/^h[1-6]$/.test(tag)) {
+      blocks.push({ type: 'heading', level: Number(tag[1]), text });
+    } else if (tag === 'ul' || tag === 'ol') {
+      // Lists that are mostly links are related-article or share lists
+      if (linkDensity(child) > 0.5) continue;
+      const items = child.childNodes
+        .filter(li => tagOf(li) === 'li')
+        .map(li => clean(li.text))
+        .filter(Boolean);
+      if (items.length > 0) {
+        blocks.push({ type: 'list', ordered: tag === 'ol', items });
+      }
+    } else if (tag === 'pre') {
+      blocks.push({ type: 'code', language: codeLanguage(child), text: child.text.replace(/^\n+|\s+$/g, '') });
+    } else if (tag === 'blockquote') {
+      blocks.push(quoteBlock(child, text));
+    } else if (tag === 'p' || isInlineOnly(child)) {
+      if (linkDensity(child) > 0.5 && text.length < 200) continue;
+      blocks.push({ type: 'paragraph', text });
+    } else {
+      collectBlocks(child, blocks);
+    }
+  }
+  return blocks;
+}
+
+/**
+ * Render blocks as markdown-style text, keeping their structure
+ */
+export function blocksToText(blocks) {
+  return blocks.map(block => {
+    if (block.type === 'heading') return `${'#'.repeat(block.level)} ${block.text}`;
+    if (block.type === 'list') {
+      return block.items
+        .map((item, i) => (block.ordered ? `${i + 1}. ${item}` : `- ${item}`))
+        .join('\n');
+    }
+    if (block.type === 'quote') {
+      return `> ${block.text}${block.cite ? `\n> — ${block.cite}` : ''}`;
+    }
+    if (block.type === 'code') {
+      return `\`\`\`${block.language || ''}\n${block.text}\n\`\`\``;
+    }
+    return block.text;
+  }).join('\n\n');
+}
+
+/**
+ * Headings as an indented outline, or null if the text has fewer than two
+ * @param {Object[]} blocks
+ * @returns {string|null}
+ */
+export function formatOutline(blocks) {
+  let headings = (blocks || []).filter(block => block.type === 'heading');
+  if (headings.length === 0) return null;
+
+  // A lone top-level heading at the start is the article's title, not a section
+  const levelOf = (list) => Math.min(...list.map(heading => heading.level));
+  const titleLevel = levelOf(headings);
+  if (headings[0].level === titleLevel && headings.filter(h => h.level === titleLevel).length === 1) {
+    headings = headings.slice(1);
+  }
+  if (headings.length < 2) return null;
+
+  const top = levelOf(headings);
+  return headings.map(heading => `${'  '.repeat(heading.level - top)}- ${heading.text}`).join('\n');
+}
+
+/**
+ * Extract the main content of an HTML page
+ * @param {string} html - Full page HTML
+ * @returns {Object} { text, blocks } - text keeps blank lines between blocks
+ */
+export function extractReadable(html) {
+  // <pre> is parsed like any element so highlighted code keeps its <code> class and loses its <span>s
+  const root = parse(html, { comment: false, blockTextElements: { script: true, noscript: true, style: true } });
+  stripChrome(root);
+
+  const body = root.querySelector('body') || root;
+  const container = findKnownContainer(body) || findByScoring(body) || body;
+
+  let blocks = collectBlocks(container, []);
+
+  // Scoring can pick a container that is too narrow; fall back to the whole page
+  if (container !== body && blocksToText(blocks).length < MIN_CONTAINER_CHARS / 2) {
+    blocks = collectBlocks(body, []);
+  }
+
+  // Drop exact repeats (sticky headers, duplicated pull quotes)
+  const seen = new Set();
+  blocks = blocks.filter(block => {
+    const key = block.type === 'list' ? block.items.join('|') : block.text;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  return { text: blocksToText(blocks), blocks };
+}
+
+export default {
+  extractReadable,
+  blocksToText,
+  formatOutline,
+};
@@ -3,62 +3,47 @@
  * Generates two-host conversation scripts in the style of "How I Built This"
  */
 
+import { readFileSync, writeFileSync, mkdirSync } from 'fs';
+import { dirname, extname } from 'path';
 import { config } from './config.js';
+import { formatOutline } from './readability.js';
+import { callClaude, hasLlmKey } from './llm.js';
+import { formatTimestamp } from './youtube.js';
+import { languageName } from './translate.js';
 
-const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
-// Use Haiku for cost-effectiveness
-const MODEL = 'anthropic/claude-3.5-haiku';
-
-/**
- * Call Claude via OpenRouter API
- */
-async function callClaude(prompt) {
-  const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${OPENROUTER_API_KEY}`,
-      'HTTP-Referer': 'https://github.com/darrenfurr/read-later-podcast',
-      'X-Title': 'Read Later Podcast',
-    },
-    body: JSON.stringify({
-      model: MODEL,
-      max_tokens: 4000,
-      temperature: 0.7,
-      messages: [{ role: 'user', content: prompt }],
-    }),
-  });
-
-  if (!response.ok) {
-    const error = await response.text();
-    console.error(`OpenRouter API error: ${response.status}`);
-    console.error(`Response: ${error}`);
-    throw new Error(`OpenRouter API error: ${response.status} - ${error}`);
-  }
-
-  const data = await response.json();
-  const content = data.choices[0]?.message?.content;
-  
-  if (!content) {
-    console.error('No content in API response:', JSON.stringify(data, null, 2));
-    throw new Error('OpenRouter returned empty content');
-  }
-  
-  return content;
-}
+// 'discussion': the two-host deep dive; 'summarize': a short highlight reel (podcast episodes)
+export const SCRIPT_FORMATS = ['discussion', 'summarize'];
 
 /**
  * Generate a podcast script from article content
+ * @param {Object} article
+ * @param {Object} [options]
+ * @param {string} [options.format='discussion'] - One of SCRIPT_FORMATS
  */
-export async function generateScript(article) {
+export async function generateScript(article, options = {}) {
   console.log(`Generating script for: ${article.title}`);
   
-  if (!OPENROUTER_API_KEY) {
+  if (!hasLlmKey()) {
     throw new Error('OPENROUTER_API_KEY not set');
   }
   
+  const format = options.format || 'discussion';
+  if (!SCRIPT_FORMATS.includes(format)) {
+    throw new Error(`Unknown script format "${format}" (use ${SCRIPT_FORMATS.join(' or ')})`);
+  }
+  if (format === 'summarize') {
+    return generateSummaryScript(article);
+  }
+  
   const targetMinutes = config.content.targetPodcastMinutes;
   const targetWords = targetMinutes * config.content.wordsPerMinute;
+  const sourceCredit = formatSourceCredit(article);
+  const structure = describeStructure(article);
+  const sourceSection = await prepareSource(article);
+  const researchSection = describeResearch(article);
+  const deepDive = structure.outline
+    ? `DEEP DIVE: Walk through the source's own sections (${structure.outlineLabel} below) in order, with examples and insights from each (8-10 minutes)`
+    : 'DEEP DIVE: Explore the main points with examples and insights (8-10 minutes)';
   
   const prompt = `You are a podcast script writer. Create a two-host podcast script based on the following article.
 
@@ -73,7 +58,7 @@ STYLE GUIDE:
 STRUCTURE:
 1. INTRO: Hook the listener, introduce themselves ONCE by name (Andrew & Emily), tease what they'll learn (30 seconds)
 2. CONTEXT: What is this about and why does it matter? (2 minutes)
-3. DEEP DIVE: Explore the main points with examples and insights (8-10 minutes)
+3. ${deepDive}
 4. IMPLICATIONS: What does this mean for the listener? (2-3 minutes)
 5. TAKEAWAYS: Key lessons and actionable insights (1-2 minutes)
 6. OUTRO: Wrap up with a thought-provoking question or call to action (30 seconds)
@@ -87,22 +72,321 @@ FORMAT RULES:
 - Short sentences for emphasis. Like this.
 - Natural back-and-forth dialogue
 - NO stage directions in dialogue - do not write "(laughing)", "(chuckling)", etc. Just write natural dialogue
-
+- Credit the source: in the INTRO or CONTEXT, name the author and publication (and roughly when it was published) if they are given below. Never invent an author or publication
+${researchSection ? '- Keep the article and the RESEARCHED MATERIAL apart (see the rules in that section)\n' : ''}
 TARGET LENGTH: ${targetWords} words (approximately ${targetMinutes} minutes when spoken)
 
 ARTICLE TITLE: ${article.title}
+${sourceCredit}
+${structure.prompt}
+${sourceSection}
+${researchSection}
+---
+
+Write the complete podcast script now. Make it engaging, informative, and natural-sounding.`;
+
+  const script = await callClaude(prompt);
+  return parseScript(script);
+}
+
+/**
+ * Length of a highlight reel: content.summarize.compressionRatio of the source,
+ * kept between minMinutes and maxMinutes
+ * @returns {Object} { sourceMinutes, targetMinutes }
+ */
+export function summaryLength(article) {
+  const { compressionRatio, minMinutes, maxMinutes } = config.content.summarize;
+  // Podcasts know how long they ran once ads were cut; anything else is timed at speaking pace
+  const sourceMinutes = article.podcast?.keptSeconds
+    ? article.podcast.keptSeconds / 60
+    : countWords(article.content) / config.content.wordsPerMinute;
+  const target = Math.min(Math.max(sourceMinutes * compressionRatio, minMinutes), maxMinutes);
+  return { sourceMinutes: Math.round(sourceMinutes), targetMinutes: Math.round(target * 2) / 2 };
+}
+
+/**
+ * "summarize" format: a short highlight reel that keeps the best of the source and cuts the rest
+ */
+async function generateSummaryScript(article) {
+  const { sourceMinutes, targetMinutes } = summaryLength(article);
+  const targetWords = Math.round(targetMinutes * config.content.wordsPerMinute);
+  console.log(`  Highlight reel: ~${targetMinutes} min from ~${sourceMinutes} min of source`);
+  
+  const sourceSection = await prepareSource(article, { coverAll: false });
+  const translated = article.podcast?.translated || article.transcript?.translated;
+  
+  const prompt = `You are a podcast editor and script writer. Turn the source below into a short highlight reel: two hosts retell the best of it, tightly.
+
+KEEP: the key insights, the best lines (quoted, and say who said them when the source makes that clear), the genuinely funny moments, and anything the listener can act on.
+CUT: ads and sponsor reads, intros and outros, small talk, repetition, tangents and filler. Never mention that anything was cut.
+
+STRUCTURE:
+1. COLD OPEN: the single most interesting idea, in a line or two
+2. SETUP: what the source is (show, guests, or author) and why it's worth hearing about, in one short exchange
+3. HIGHLIGHTS: the best moments, in the order they came up
+4. TAKEAWAY: one line the listener should remember
+
+FORMAT RULES:
+- Use [HOST] and [EXPERT] tags ONLY; the hosts (Andrew & Emily) say their names once, in the first lines
+- Write in spoken language: contractions, short sentences, natural back-and-forth
+- Keep humor natural, and let the source's own funny moments carry it
+- NO stage directions in dialogue - do not write "(laughing)", "(chuckling)", etc.
+- Never invent names, numbers or quotes that aren't in the source
+${translated ? '- The source was machine-translated to English; present quotes as translations, not exact words\n' : ''}
+TARGET LENGTH: ${targetWords} words (about ${targetMinutes} minutes spoken, from ~${sourceMinutes} minutes of source). A highlight reel that runs long has failed; stay close to this.
+
+SOURCE TITLE: ${article.title}
+${formatSourceCredit(article)}
 
-ARTICLE CONTENT (summary):
-${article.content.slice(0, 4000)}
+${sourceSection}
 
 ---
 
-Write the complete podcast script now. Make it engaging, informative, and natural-sounding.`;
+Write the complete highlight reel script now.`;
 
   const script = await callClaude(prompt);
   return parseScript(script);
 }
 
+/**
+ * What the article's structure tells the script writer
+ * Built from article.blocks (headings, lists, quotes, code), or from
+ * article.chapters for videos and article.series for playlist recaps,
+ * whose sections get [TOPIC n] markers
+ * @returns {Object} { outline, outlineLabel, prompt } - outline is null when there are fewer than two sections
+ */
+function describeStructure(article) {
+  const blocks = article.blocks || [];
+  const chapters = article.chapters || [];
+  let outline = formatOutline(blocks);
+  let outlineLabel = "AUTHOR'S OUTLINE";
+  const quotes = blocks.filter(block => block.type === 'quote').slice(0, 5);
+  const lists = blocks.filter(block => block.type === 'list').length;
+  const code = blocks.filter(block => block.type === 'code');
+
+  const sections = [];
+  if (article.series) {
+    const { videos } = article.series;
+    outline = videos.map((video, i) => `${i + 1}. ${video.title}${video.publishedAt ? ` (${video.publishedAt.split('T')[0]})` : ''}`).join('\n');
+    outlineLabel = 'VIDEOS IN THIS SERIES';
+    sections.push(`${outlineLabel} (numbered, in the order of the transcripts below):\n${outline}
+
+This episode recaps ${videos.length} videos from "${article.series.title}". Cover every video in order and make clear which video each point comes from. Put a line with only [TOPIC n] (n = the number above) right before the dialogue that starts on that video. These markers link the show notes to the videos and are never spoken.`);
+  } else if (chapters.length > 0) {
+    outline = chapters.map((chapter, i) => `${i + 1}. [${formatTimestamp(chapter.start)}] ${chapter.title}`).join('\n');
+    outlineLabel = chapters[0].auto ? 'VIDEO PARTS' : 'VIDEO CHAPTERS';
+    sections.push(`${outlineLabel} (numbered, with start times in the video):\n${outline}
+
+Put a line with only [TOPIC n] (n = the number above) right before the dialogue that starts on that ${chapters[0].auto ? 'part' : 'chapter'}. These markers link the show notes to the video and are never spoken.`);
+  } else if (outline) {
+    sections.push(`AUTHOR'S OUTLINE (the article's own headings, in order):\n${outline}`);
+  }
+  if (quotes.length > 0) {
+    const lines = quotes.map(quote => `- "${quote.text}"${quote.cite ? ` (${quote.cite})` : ''}`);
+    sections.push(`QUOTES FROM THE ARTICLE (use them verbatim and say who said them, if given):\n${lines.join('\n')}`);
+  }
+  const notes = [];
+  if (lists > 0) {
+    notes.push('Lines starting "- " or "1. " are the author\'s own lists; keep their count and order when discussing them ("the author gives three reasons...")');
+  }
+  if (code.length > 0) {
+    const languages = [...new Set(code.map(block => block.language).filter(Boolean))];
+    notes.push(`The article has ${code.length} code example(s)${languages.length ? ` (${languages.join(', ')})` : ''} in \`\`\` fences; explain what the code does in plain words, never read code aloud`);
+  }
+  const translatedFrom = [article.transcript, ...(article.series?.videos || []).map(video => video.transcript)]
+    .filter(transcript => transcript?.translated)
+    .map(transcript => languageName(transcript.language));
+  if (translatedFrom.length > 0) {
+    notes.push(`The transcript was machine-translated from ${[...new Set(translatedFrom)].join(' and ')}; present quotes as translations ("in translation, the line is..."), not as exact words`);
+  }
+  if (notes.length > 0) {
+    sections.push(`READING THE SOURCE:\n${notes.map(note => `- ${note}`).join('\n')}`);
+  }
+
+  return {
+    outline,
+    outlineLabel,
+    prompt: sections.length > 0 ? `\n${sections.join('\n\n')}\n` : '',
+  };
+}
+
+/**
+ * Researched material from expandContent, labelled so the hosts never pass it off as the article's
+ * @returns {string} Prompt section, or '' when the article wasn't expanded
+ */
+function describeResearch(article) {
+  const items = article.research?.items || [];
+  if (items.length === 0) return '';
+
+  const lines = items.map(item => {
+    const source = item.source ? `source: ${item.source}` : 'no known source';
+    const section = item.section ? ` [goes with: ${item.section}]` : '';
+    return `- ${item.claim} ${item.detail} (${item.confidence} confidence; ${source})${section}`;
+  });
+
+  return `
+RESEARCHED MATERIAL (model-generated background, NOT from the article, unverified):
+${lines.join('\n')}
+
+RULES FOR RESEARCHED MATERIAL:
+- Whenever the hosts use a point from this list, they say it's outside research, not the article ("This isn't in the piece, but...", "Going beyond the article for a second...")
+- Never attribute it to the author or the publication
+- Name the source when one is given; with no known source or low confidence, hedge ("reportedly", "we couldn't pin down a source for this")
+- The article's own points come first; use research to add context, not to replace them
+`;
+}
+
+/**
+ * The source text for the script prompt
+ * Short sources go in whole. Long ones (full transcripts, long essays) are
+ * map-reduced: each chunk is summarized into notes, and the notes are merged
+ * into an outline that covers the whole piece in order.
+ * coverAll: false drops the "cover every section" instruction (highlight reels pick and choose).
+ */
+async function prepareSource(article, { coverAll = true } = {}) {
+  const { maxDirectChars } = config.content.longSource;
+  if (article.content.length <= maxDirectChars) {
+    return `ARTICLE CONTENT:\n${article.content}`;
+  }
+
+  const outline = await outlineLongSource(article);
+  const instruction = coverAll ? ' - cover every section' : '';
+  return `SOURCE OUTLINE (the source is long; this outline covers all of it, in order${instruction}):\n${outline}`;
+}
+
+/**
+ * Summarize a long source chunk by chunk, then merge the notes into an outline
+ */
+async function outlineLongSource(article) {
+  const { chunkChars, maxDirectChars } = config.content.longSource;
+  const chunks = splitIntoChunks(article.content, chunkChars);
+  console.log(`  Long source (${article.wordCount || countWords(article.content)} words): summarizing ${chunks.length} parts`);
+
+  // Map: structured notes per chunk
+  let notes = [];
+  for (let i = 0; i < chunks.length; i++) {
+    console.log(`  Summarizing part ${i + 1}/${chunks.length}...`);
+    notes.push(await summarizeChunk(article, chunks[i], i, chunks.length));
+  }
+
+  // Reduce: condense groups of notes until they fit one prompt
+  while (notes.join('\n\n').length > maxDirectChars && notes.length > 1) {
+    const groups = splitIntoChunks(notes.join('\n\n'), chunkChars);
+    if (groups.length >= notes.length) break;
+    console.log(`  Condensing notes (${notes.length} → ${groups.length})...`);
+    notes = [];
+    for (const group of groups) {
+      notes.push(await condenseNotes(article, group));
+    }
+  }
+
+  console.log('  Building outline from notes...');
+  return buildOutline(article, notes);
+}
+
+/**
+ * Split text into chunks of at most maxChars, on paragraph and then sentence boundaries
+ */
+function splitIntoChunks(text, maxChars) {
+  const pieces = [];
+  for (const paragraph of text.split(/\n\s*\n/)) {
+    if (paragraph.length <= maxChars) {
+      pieces.push(paragraph);
+      continue;
+    }
+    // Transcripts are often one huge paragraph
+    const sentences = paragraph.match(/[^.!?]+(?:[.!?]+["')\]]*\s*|$)/g) || [paragraph];
+    for (const sentence of sentences) {
+      for (let i = 0; i < sentence.length; i += maxChars) {
+        pieces.push(sentence.slice(i, i + maxChars));
+      }
+    }
+  }
+
+  const chunks = [];
+  let current = '';
+  for (const piece of pieces) {
+    if (current && current.length + piece.length + 2 > maxChars) {
+      chunks.push(current.trim());
+      current = '';
+    }
+    current += (current ? (/\s$/.test(current) ? '' : '\n\n') : '') + piece;
+  }
+  if (current.trim()) chunks.push(current.trim());
+  return chunks;
+}
+
+/**
+ * Map step: structured notes for one chunk of the source
+ */
+async function summarizeChunk(article, chunk, index, total) {
+  const prompt = `You are preparing research notes for a podcast about "${article.title}". Below is part ${index + 1} of ${total} of the source.
+
+Write structured notes for THIS PART ONLY, using these headings:
+TOPICS: the main subjects, in the order they come up
+KEY POINTS: the arguments, explanations and conclusions, each as a bullet
+FACTS & FIGURES: names, numbers, dates and data, exactly as given
+QUOTES: up to three short memorable lines, verbatim
+STORIES: anecdotes or examples worth retelling
+
+Be specific and faithful to the text. Don't add anything that isn't in it. Skip a heading if it has nothing. Keep it under 400 words.
+
+SOURCE (part ${index + 1} of ${total}):
+${chunk}`;
+
+  const notes = await callClaude(prompt, { maxTokens: 1200, temperature: 0.2 });
+  return `PART ${index + 1} OF ${total}\n${notes.trim()}`;
+}
+
+/**
+ * Reduce step: merge several parts' notes into one shorter set, keeping their order
+ */
+async function condenseNotes(article, notes) {
+  const prompt = `These are research notes on consecutive parts of "${article.title}". Merge them into one set of notes with the same headings (TOPICS, KEY POINTS, FACTS & FIGURES, QUOTES, STORIES).
+
+Keep the order the material appears in, drop repetition, and keep specific facts, numbers and quotes. Keep it under 600 words.
+
+NOTES:
+${notes}`;
+
+  return (await callClaude(prompt, { maxTokens: 1600, temperature: 0.2 })).trim();
+}
+
+/**
+ * Final reduce: an episode outline built from every part's notes
+ */
+async function buildOutline(article, notes) {
+  const authorOutline = formatOutline(article.blocks);
+  const sectionRule = authorOutline
+    ? `- One section per top-level heading of the author's outline, in the same order:\n${authorOutline}`
+    : "- 4 to 8 sections following the source's own order and structure";
+  const prompt = `These are research notes covering the whole of "${article.title}", part by part. Turn them into an outline for a podcast episode.
+
+${sectionRule}
+- For each section: a short heading, the talking points, and the specific facts, figures, quotes and stories that belong in it
+- Every part of the notes must end up in a section; nothing from outside the notes
+
+NOTES:
+${notes.join('\n\n')}`;
+
+  return (await callClaude(prompt, { maxTokens: 3000, temperature: 0.3 })).trim();
+}
+
+function countWords(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * Describe who wrote/published the article, for the prompt
+ */
+function formatSourceCredit(article) {
+  const lines = [];
+  if (article.author) lines.push(`AUTHOR: ${article.author}`);
+  if (article.publisher) lines.push(`PUBLICATION: ${article.publisher}`);
+  if (article.publishedAt) lines.push(`PUBLISHED: ${article.publishedAt.split('T')[0]}`);
+  return lines.join('\n');
+}
+
 /**
  * Parse script into segments by speaker
  */
@@ -112,11 +396,27 @@ function parseScript(rawScript) {
   
   let currentSpeaker = null;
   let currentText = [];
+  // [TOPIC n] lines mark where the hosts move on to section n of the source
+  let topic = null;
+  let currentTopic = null;
+  const pushSegment = () => {
+    segments.push({
+      speaker: currentSpeaker,
+      text: currentText.join(' ').trim(),
+      ...(currentTopic ? { topic: currentTopic } : {}),
+    });
+  };
   
   for (const line of lines) {
     const trimmed = line.trim();
     if (!trimmed) continue;
     
+    const topicMatch = trimmed.match(/^\[TOPIC\s+(\d+)\]$/i);
+    if (topicMatch) {
+      topic = Number(topicMatch[1]);
+      continue;
+    }
+    
     // Check for speaker tags
     const hostMatch = trimmed.match(/^\[HOST\]:?\s*(.*)/i) || 
                       trimmed.match(/^HOST:\s*(.*)/i) ||
@@ -127,23 +427,19 @@ function parseScript(rawScript) {
     
     if (hostMatch) {
       if (currentSpeaker && currentText.length > 0) {
-        segments.push({
-          speaker: currentSpeaker,
-          text: currentText.join(' ').trim(),
-        });
+        pushSegment();
       }
       currentSpeaker = 'host';
+      currentTopic = topic;
       // Strip out any name prefixes (Andrew:, etc.)
       let text = hostMatch[1].replace(/^(Andrew|Host):\s*/i, '').trim();
       currentText = [text];
     } else if (expertMatch) {
       if (currentSpeaker && currentText.length > 0) {
-        segments.push({
-          speaker: currentSpeaker,
-          text: currentText.join(' ').trim(),
-        });
+        pushSegment();
       }
       currentSpeaker = 'expert';
+      currentTopic = topic;
       // Strip out any name prefixes (Ava:, Aria:, Emily:, etc.)
       let text = expertMatch[1].replace(/^(Ava|Aria|Emily|Expert):\s*/i, '').trim();
       currentText = [text];
@@ -157,10 +453,7 @@ function parseScript(rawScript) {
   
   // Don't forget the last segment
   if (currentSpeaker && currentText.length > 0) {
-    segments.push({
-      speaker: currentSpeaker,
-      text: currentText.join(' ').trim(),
-    });
+    pushSegment();
   }
   
   // Clean up segments
@@ -171,18 +464,102 @@ function parseScript(rawScript) {
       text: cleanText(seg.text),
     }));
   
-  const totalWords = cleanedSegments.reduce((sum, seg) => 
-    sum + seg.text.split(' ').length, 0);
-  
-  console.log(`  Parsed ${cleanedSegments.length} segments, ${totalWords} words`);
+  const script = scriptFromSegments(cleanedSegments);
+  console.log(`  Parsed ${script.segments.length} segments, ${script.totalWords} words`);
   
+  return script;
+}
+
+/**
+ * Script object for a list of segments, with its word count and length worked out
+ * @returns {Object} { segments, totalWords, estimatedMinutes }
+ */
+export function scriptFromSegments(segments) {
+  const totalWords = segments.reduce((sum, seg) => sum + seg.text.split(' ').length, 0);
   return {
-    segments: cleanedSegments,
+    segments,
     totalWords,
     estimatedMinutes: Math.round(totalWords / config.content.wordsPerMinute),
   };
 }
 
+/**
+ * Format a parsed script as an editable markdown file
+ * One paragraph per segment, each starting with its [HOST]/[EXPERT] tag;
+ * a [TOPIC n] line marks where the hosts move on to section n of the source
+ */
+export function formatScriptMarkdown(script, meta = {}) {
+  const lines = [`# ${meta.title || 'Untitled Episode'}`, ''];
+  if (meta.url) {
+    lines.push(`Source: ${meta.url}`, '');
+  }
+  let topic = null;
+  for (const segment of script.segments) {
+    if (segment.topic && segment.topic !== topic) {
+      topic = segment.topic;
+      lines.push(`[TOPIC ${topic}]`, '');
+    }
+    lines.push(`[${segment.speaker === 'host' ? 'HOST' : 'EXPERT'}] ${segment.text}`, '');
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Write a script to disk for review/editing
+ * Format follows the extension: .json, otherwise [HOST]/[EXPERT] markdown
+ */
+export function writeScriptFile(filePath, script, meta = {}) {
+  mkdirSync(dirname(filePath), { recursive: true });
+  
+  if (extname(filePath).toLowerCase() === '.json') {
+    writeFileSync(filePath, JSON.stringify({ title: meta.title, url: meta.url, ...script }, null, 2));
+  } else {
+    writeFileSync(filePath, formatScriptMarkdown(script, meta));
+  }
+  
+  return filePath;
+}
+
+/**
+ * Read a script written by writeScriptFile (possibly hand-edited)
+ * @returns {Object} { title, url, script } - script has the same shape as generateScript's
+ */
+export function readScriptFile(filePath) {
+  const raw = readFileSync(filePath, 'utf-8');
+  
+  if (extname(filePath).toLowerCase() === '.json') {
+    const data = JSON.parse(raw);
+    if (!Array.isArray(data.segments)) {
+      throw new Error(`${filePath}: no "segments" array`);
+    }
+    const segments = data.segments
+      .filter(seg => seg.text && seg.text.trim())
+      .map(seg => ({
+        speaker: seg.speaker === 'host' ? 'host' : 'expert',
+        text: seg.text.trim(),
+        ...(seg.topic ? { topic: seg.topic } : {}),
+      }));
+    return {
+      title: data.title || null,
+      url: data.url || null,
+      script: scriptFromSegments(segments),
+    };
+  }
+  
+  const titleMatch = raw.match(/^#\s+(.+)$/m);
+  const urlMatch = raw.match(/^Source:\s*(\S+)/m);
+  const script = parseScript(raw);
+  if (script.segments.length === 0) {
+    throw new Error(`${filePath}: no [HOST]/[EXPERT] segments found`);
+  }
+  
+  return {
+    title: titleMatch ? titleMatch[1].trim() : null,
+    url: urlMatch ? urlMatch[1] : null,
+    script,
+  };
+}
+
 /**
  * Clean text for TTS
  */
@@ -263,5 +640,11 @@ function formatYear(yearStr) {
 }
 
 export default {
+  SCRIPT_FORMATS,
   generateScript,
+  summaryLength,
+  formatScriptMarkdown,
+  writeScriptFile,
+  readScriptFile,
+  scriptFromSegments,
 };
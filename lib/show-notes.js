@@ -0,0 +1,149 @@
+/**
+ * Show notes for read-later-podcast
+ * One markdown file per episode, next to the MP3: the source, what the
+ * episode covers, and any researched material listed apart from the article
+ */
+
+import { writeFileSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { formatOutline } from './readability.js';
+import { formatTimestamp, timestampUrl } from './youtube.js';
+import { languageName } from './translate.js';
+
+/**
+ * "Title" by Author, Publisher (2026-01-01), as a markdown line
+ */
+function formatSource(article) {
+  const title = article.url ? `[${article.title}](${article.canonicalUrl || article.url})` : article.title;
+  const by = [article.author, article.publisher].filter(Boolean).join(', ');
+  const date = article.publishedAt ? ` (${article.publishedAt.split('T')[0]})` : '';
+  return `${title}${by ? ` by ${by}` : ''}${date}`;
+}
+
+/**
+ * Which captions a video transcript came from, and whether they were translated
+ */
+function formatCaptions(transcript) {
+  const kind = transcript.kind === 'manual' ? 'human-written' : 'auto-generated';
+  return `${languageName(transcript.language)} ${kind} captions${transcript.translated ? ', machine-translated to English' : ''}`;
+}
+
+/**
+ * How a podcast episode was transcribed, and how much of it was cut as ads, intros and outros
+ */
+function formatPodcastTranscript(podcast) {
+  const language = podcast.language ? `${languageName(podcast.language)} ` : '';
+  const parts = [`${Math.round(podcast.durationSeconds / 60)}-minute episode, ${language}speech-to-text`];
+  if (podcast.translated) parts.push('machine-translated to English');
+  if (podcast.removed.length > 0) {
+    const seconds = podcast.removed.reduce((sum, range) => sum + (range.end - range.start), 0);
+    parts.push(`${formatTimestamp(seconds)} of ads, intros and outros removed`);
+  }
+  return parts.join('; ');
+}
+
+/**
+ * Video chapters the hosts discuss, in the order they come up, each linked to its moment in the video
+ * Falls back to every chapter when the script has no [TOPIC n] markers
+ */
+function formatChapterLinks(article, script) {
+  const discussed = [...new Set((script.segments || []).map(segment => segment.topic).filter(Boolean))]
+    .map(n => article.chapters[n - 1])
+    .filter(Boolean);
+  const chapters = discussed.length > 0 ? discussed : article.chapters;
+  return chapters
+    .map(chapter => `- [${formatTimestamp(chapter.start)}](${timestampUrl(article.videoId, chapter.start)}) ${chapter.title}`)
+    .join('\n');
+}
+
+/**
+ * Videos of a series recap, discussed ones first in the order they come up, each linked
+ */
+function formatSeriesLinks(article, script) {
+  const { videos } = article.series;
+  const discussed = [...new Set((script.segments || []).map(segment => segment.topic).filter(Boolean))]
+    .map(n => videos[n - 1])
+    .filter(Boolean);
+  const ordered = [...discussed, ...videos.filter(video => !discussed.includes(video))];
+  return ordered
+    .map(video => {
+      const date = video.publishedAt ? ` (${video.publishedAt.split('T')[0]})` : '';
+      const translated = video.transcript?.translated ? ` *(translated from ${languageName(video.transcript.language)})*` : '';
+      return `- [${video.title}](${video.url})${date}${translated}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Build the show notes for an episode
+ * @param {Object} article - The article the script was written from (after expansion)
+ * @param {Object} script - Parsed script ({ estimatedMinutes })
+ * @param {Object} [meta]
+ * @param {string} [meta.podcastUrl]
+ * @param {string[]} [meta.categories]
+ * @returns {string} Markdown
+ */
+export function buildShowNotes(article, script, meta = {}) {
+  const lines = [`# ${article.title || 'Untitled Episode'}`, ''];
+
+  const facts = [`~${script.estimatedMinutes} min`, ...(meta.categories || [])];
+  lines.push(facts.join(' · '), '');
+
+  if (article.url || article.path) {
+    lines.push('## Source', '', formatSource(article), '');
+    if (article.transcript) {
+      lines.push(`Transcript: ${formatCaptions(article.transcript)}.`, '');
+    }
+    if (article.podcast) {
+      lines.push(`${formatPodcastTranscript(article.podcast)}.`, '');
+    }
+  }
+
+  let outline;
+  if (article.series?.videos.length) {
+    outline = formatSeriesLinks(article, script);
+  } else if (article.chapters?.length && article.videoId) {
+    outline = formatChapterLinks(article, script);
+  } else {
+    outline = formatOutline(article.blocks);
+  }
+  if (outline) {
+    lines.push('## In This Episode', '', outline, '');
+  }
+
+  const research = article.research?.items || [];
+  if (research.length > 0) {
+    lines.push(
+      '## Researched Material (Not From the Article)',
+      '',
+      'The hosts also discuss this background. It was generated by an AI research step, not taken from the article, and has not been fact-checked.',
+      ''
+    );
+    for (const item of research) {
+      const source = item.source ? `Source: ${item.source}` : 'No source given';
+      lines.push(`- ${item.claim} *(${source}; ${item.confidence} confidence)*`);
+    }
+    lines.push('');
+  }
+
+  if (meta.podcastUrl && /^https?:\/\//.test(meta.podcastUrl)) {
+    lines.push('## Listen', '', meta.podcastUrl, '');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Write show notes to disk
+ * @returns {string} The file path
+ */
+export function writeShowNotes(filePath, article, script, meta = {}) {
+  mkdirSync(dirname(filePath), { recursive: true });
+  writeFileSync(filePath, buildShowNotes(article, script, meta));
+  return filePath;
+}
+
+export default {
+  buildShowNotes,
+  writeShowNotes,
+};
@@ -0,0 +1,130 @@
+/**
+ * Translation for read-later-podcast
+ * Non-English transcripts are translated to English through the LLM before
+ * any script writing, in batches small enough for one reply each
+ */
+
+import { callClaude } from './llm.js';
+
+// Source characters per request; the English reply has to fit in the model's output
+const BATCH_CHARS = 6000;
+
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language' });
+
+/**
+ * English name of a language code ("es" → "Spanish"), or the code itself
+ */
+export function languageName(code) {
+  try {
+    return languageNames.of(String(code).replace(/-orig$/i, '')) || code;
+  } catch (e) {
+    return code;
+  }
+}
+
+/**
+ * Whether a language code is English (en, en-US, en-GB, ...)
+ */
+export function isEnglish(code) {
+  return /^en(-|$)/i.test(code || '');
+}
+
+/**
+ * Split text into pieces of at most maxChars, at sentence ends where there are any, else at spaces
+ */
+function splitText(text, maxChars) {
+  if (text.length <= maxChars) return text ? [text] : [];
+
+  const pieces = [];
+  let current = '';
+  for (const part of text.match(/[^.!?]+(?:[.!?]+\s*|$)/g) || [text]) {
+    for (const word of part.length > maxChars ? part.split(/(?<=\s)/) : [part]) {
+      if (current && current.length + word.length > maxChars) {
+        pieces.push(current.trim());
+        current = '';
+      }
+      current += word;
+    }
+  }
+  if (current.trim()) pieces.push(current.trim());
+  return pieces;
+}
+
+/**
+ * Translate one batch of strings; falls back to one request per string if the reply doesn't line up
+ */
+async function translateBatch(pieces, from) {
+  const prompt = `Translate each string in this JSON array from ${languageName(from)} to natural English. They are video captions, often without punctuation; add punctuation where it helps. Keep names, numbers and bracketed timestamps like [1:05] as they are. Reply with a JSON array of exactly ${pieces.length} strings, in the same order, and nothing else.
+
+${JSON.stringify(pieces)}`;
+
+  const reply = await callClaude(prompt, { temperature: 0 });
+  let translated = null;
+  try {
+    translated = JSON.parse(reply.match(/\[[\s\S]*\]/)?.[0] || 'null');
+  } catch (e) {
+    translated = null;
+  }
+
+  const valid = Array.isArray(translated) && translated.length === pieces.length &&
+    translated.every(text => typeof text === 'string');
+  if (valid) return translated;
+  if (pieces.length === 1) {
+    throw new Error(`Translation from ${languageName(from)} returned an unusable reply`);
+  }
+
+  const one = [];
+  for (const piece of pieces) {
+    one.push(...await translateBatch([piece], from));
+  }
+  return one;
+}
+
+/**
+ * Translate texts to English, keeping their order and count
+ * Long texts are split, translated in batches and joined again
+ * @param {string[]} texts
+ * @param {string} from - Language code of the texts
+ * @returns {Promise<string[]>}
+ */
+export async function translateTexts(texts, from) {
+  const pieces = [];
+  const owners = [];
+  texts.forEach((text, i) => {
+    for (const piece of splitText(text || '', BATCH_CHARS)) {
+      pieces.push(piece);
+      owners.push(i);
+    }
+  });
+
+  const batches = [];
+  let batch = [];
+  let size = 0;
+  pieces.forEach((piece, i) => {
+    if (batch.length > 0 && size + piece.length > BATCH_CHARS) {
+      batches.push(batch);
+      batch = [];
+      size = 0;
+    }
+    batch.push(i);
+    size += piece.length;
+  });
+  if (batch.length > 0) batches.push(batch);
+
+  const translated = [];
+  for (const [n, indexes] of batches.entries()) {
+    console.log(`  Translating from ${languageName(from)}: part ${n + 1}/${batches.length}`);
+    const replies = await translateBatch(indexes.map(i => pieces[i]), from);
+    indexes.forEach((index, j) => { translated[index] = replies[j]; });
+  }
+
+  const results = texts.map(() => []);
+  translated.forEach((text, i) => results[owners[i]].push(text.trim()));
+  return results.map(parts => parts.join(' '));
+}
+
+export default {
+  languageName,
+  isEnglish,
+  translateTexts,
+};
@@ -3,11 +3,14 @@
  * Uses edge-tts (Microsoft's free TTS API)
  */
 
-import { execSync } from 'child_process';
-import { readFileSync, mkdirSync, existsSync, unlinkSync, copyFileSync, writeFileSync } from 'fs';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { readFileSync, mkdirSync, existsSync, unlinkSync, copyFileSync, writeFileSync, statSync, renameSync, rmSync } from 'fs';
 import { join } from 'path';
 import { config } from './config.js';
 
+const execFileAsync = promisify(execFile);
+
 // Voice mapping for edge-tts
 const VOICES = {
   host: 'en-US-AndrewNeural',      // Male, warm, confident - like Guy Raz
@@ -20,8 +23,16 @@ const VOICES = {
 
 /**
  * Generate audio for a single segment using edge-tts
+ * @param {Object} segment - { speaker, text }
+ * @param {string} outputPath - Where to write the MP3
+ * @param {Object} options
+ * @param {number} [options.timeoutMs] - Kill edge-tts after this long (default: config.tts.segmentTimeoutMs)
+ * @param {number} [options.retries] - Extra attempts after a failure (default: config.tts.retries)
  */
-export async function generateSegmentAudio(segment, outputPath) {
+export async function generateSegmentAudio(segment, outputPath, options = {}) {
+  const timeoutMs = options.timeoutMs || config.tts.segmentTimeoutMs;
+  const retries = options.retries ?? config.tts.retries;
+  
   const textPreview = segment.text.slice(0, 50).replace(/\n/g, ' ');
   console.log(`  TTS [${segment.speaker}]: "${textPreview}..."`);
   
@@ -30,32 +41,31 @@ export async function generateSegmentAudio(segment, outputPath) {
   // Speed rate: +10% for Emily to make her slightly faster
   const rate = segment.speaker === 'expert' ? '+10%' : '+0%';
   
-  // Escape text for shell
-  const escapedText = segment.text
-    .replace(/\\/g, '\\\\')
-    .replace(/"/g, '\\"')
-    .replace(/\$/g, '\\$')
-    .replace(/`/g, '\\`');
+  // Arguments go straight to the process - no shell, so no escaping needed
+  const args = ['--voice', voice, `--rate=${rate}`, '--text', segment.text, '--write-media', outputPath];
   
-  try {
-    execSync(
-      `edge-tts --voice "${voice}" --rate="${rate}" --text "${escapedText}" --write-media "${outputPath}"`,
-      { 
-        encoding: 'utf-8', 
-        timeout: 120000,
+  for (let attempt = 0; ; attempt++) {
+    try {
+      await execFileAsync('edge-tts', args, {
+        encoding: 'utf-8',
+        timeout: timeoutMs,
         maxBuffer: 10 * 1024 * 1024,
+      });
+      
+      // Verify file was created
+      if (!existsSync(outputPath)) {
+        throw new Error('Audio file not created');
       }
-    );
-    
-    // Verify file was created
-    if (!existsSync(outputPath)) {
-      throw new Error('Audio file not created');
+      
+      return outputPath;
+    } catch (error) {
+      if (attempt >= retries) {
+        console.error(`TTS failed for segment:`, error.message);
+        throw error;
+      }
+      console.warn(`  TTS attempt ${attempt + 1} failed (${error.message.split('\n')[0]}), retrying...`);
+      await new Promise(resolve => setTimeout(resolve, 1000 * (attempt + 1)));
     }
-    
-    return outputPath;
-  } catch (error) {
-    console.error(`TTS failed for segment:`, error.message);
-    throw error;
   }
 }
 
@@ -100,9 +110,10 @@ export async function mergeAudio(segmentPaths, outputPath) {
     const listContent = validPaths.map(p => `file '${p}'`).join('\n');
     writeFileSync(listPath, listContent);
     
-    execSync(
-      `ffmpeg -y -f concat -safe 0 -i "${listPath}" -c:a libmp3lame -q:a 2 "${outputPath}" 2>/dev/null`,
-      { encoding: 'utf-8', timeout: 300000 }
+    await execFileAsync(
+      'ffmpeg',
+      ['-y', '-f', 'concat', '-safe', '0', '-i', listPath, '-c:a', 'libmp3lame', '-q:a', '2', outputPath],
+      { encoding: 'utf-8', timeout: 300000, maxBuffer: 10 * 1024 * 1024 }
     );
     
     unlinkSync(listPath);
@@ -120,10 +131,42 @@ export async function mergeAudio(segmentPaths, outputPath) {
   return outputPath;
 }
 
+/**
+ * Run fn over items with at most `concurrency` calls in flight
+ * Stops handing out new items after the first failure, then rethrows it
+ */
+async function runPool(items, concurrency, fn) {
+  let next = 0;
+  let failure = null;
+  
+  const worker = async () => {
+    while (!failure && next < items.length) {
+      const index = next++;
+      try {
+        await fn(items[index], index);
+      } catch (error) {
+        failure = failure || error;
+      }
+    }
+  };
+  
+  const size = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: size }, worker));
+  
+  if (failure) throw failure;
+}
+
 /**
  * Generate complete podcast from script
+ * @param {Object} script - Parsed script from scriptGen.generateScript
+ * @param {string} outputDir - Directory for the final MP3
+ * @param {string} slug - File name (without extension)
+ * @param {Object} options
+ * @param {Function} [options.onProgress] - Called with { current, total } after each segment
+ * @param {string} [options.segmentsDir] - Keep segments here and reuse any already rendered
+ * @param {number} [options.concurrency] - Segments rendered at once (default: config.tts.concurrency)
  */
-export async function generatePodcast(script, outputDir, slug) {
+export async function generatePodcast(script, outputDir, slug, options = {}) {
   console.log('\n🎙️  Generating podcast audio...');
   console.log(`  Segments: ${script.segments.length}`);
   console.log(`  Estimated duration: ~${script.estimatedMinutes} minutes\n`);
@@ -132,39 +175,58 @@ export async function generatePodcast(script, outputDir, slug) {
     mkdirSync(outputDir, { recursive: true });
   }
   
-  const tempDir = join(outputDir, `temp_${slug}`);
+  const keepSegments = Boolean(options.segmentsDir);
+  const tempDir = options.segmentsDir || join(outputDir, `temp_${slug}`);
   if (!existsSync(tempDir)) {
     mkdirSync(tempDir, { recursive: true });
   }
   
-  const segmentPaths = [];
+  const total = script.segments.length;
+  const concurrency = options.concurrency || config.tts.concurrency;
+  
+  // Paths are fixed by index up front so merge order never depends on finish order
+  const segmentPaths = script.segments.map((segment, i) =>
+    join(tempDir, `${String(i + 1).padStart(3, '0')}_${segment.speaker}.mp3`));
+  let completed = 0;
   
   try {
-    // Generate audio for each segment
-    for (let i = 0; i < script.segments.length; i++) {
-      const segment = script.segments[i];
-      const segmentPath = join(tempDir, `${String(i + 1).padStart(3, '0')}_${segment.speaker}.mp3`);
+    // Generate audio for each segment, a few at a time
+    await runPool(script.segments, concurrency, async (segment, i) => {
+      const segmentPath = segmentPaths[i];
       
-      await generateSegmentAudio(segment, segmentPath);
-      segmentPaths.push(segmentPath);
+      if (keepSegments && existsSync(segmentPath) && statSync(segmentPath).size > 0) {
+        // Rendered by an earlier run
+      } else {
+        // Render to a partial file so an interrupted run never leaves a truncated segment
+        const partialPath = `${segmentPath}.part`;
+        await generateSegmentAudio(segment, partialPath);
+        renameSync(partialPath, segmentPath);
+      }
       
       // Progress indicator
-      const pct = Math.round(((i + 1) / script.segments.length) * 100);
-      process.stdout.write(`\r  Progress: ${i + 1}/${script.segments.length} (${pct}%)`);
-    }
-    console.log('\n');
+      completed++;
+      if (options.onProgress) {
+        options.onProgress({ current: completed, total });
+      } else {
+        const pct = Math.round((completed / total) * 100);
+        process.stdout.write(`\r  Progress: ${completed}/${total} (${pct}%)`);
+      }
+    });
+    if (!options.onProgress) console.log('\n');
     
     // Merge all segments
     const finalPath = join(outputDir, `${slug}.mp3`);
     await mergeAudio(segmentPaths, finalPath);
     
-    // Cleanup temp files
-    for (const path of segmentPaths) {
-      try { unlinkSync(path); } catch (e) { /* ignore */ }
+    // Cleanup temp files (checkpointed segments are left for the caller)
+    if (!keepSegments) {
+      for (const path of segmentPaths) {
+        try { unlinkSync(path); } catch (e) { /* ignore */ }
+      }
+      try { 
+        rmSync(tempDir, { recursive: true, force: true }); 
+      } catch (e) { /* ignore */ }
     }
-    try { 
-      execSync(`rmdir "${tempDir}" 2>/dev/null`); 
-    } catch (e) { /* ignore */ }
     
     // Get file size
     const stats = readFileSync(finalPath);
@@ -0,0 +1,156 @@
+/**
+ * Outbound URL checks for read-later-podcast
+ * Keeps user-supplied URLs from reaching localhost, cloud metadata
+ * endpoints or the private network the server runs in (SSRF)
+ *
+ * The connection resolves the hostname again, so a host that changes its
+ * DNS answer between check and connect (rebinding) is not fully covered.
+ */
+
+import { lookup } from 'dns/promises';
+import { BlockList, isIP } from 'net';
+import { config } from './config.js';
+
+// Address ranges that are never fetched unless explicitly allowed
+const BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4', 'unspecified'],
+  ['10.0.0.0', 8, 'ipv4', 'private'],
+  ['100.64.0.0', 10, 'ipv4', 'carrier-grade NAT'],
+  ['127.0.0.0', 8, 'ipv4', 'loopback'],
+  ['169.254.0.0', 16, 'ipv4', 'link-local'],
+  ['172.16.0.0', 12, 'ipv4', 'private'],
+  ['192.0.0.0', 24, 'ipv4', 'reserved'],
+  ['192.168.0.0', 16, 'ipv4', 'private'],
+  ['198.18.0.0', 15, 'ipv4', 'benchmarking'],
+  ['224.0.0.0', 4, 'ipv4', 'multicast'],
+  ['240.0.0.0', 4, 'ipv4', 'reserved'],
+  ['::', 128, 'ipv6', 'unspecified'],
+  ['::1', 128, 'ipv6', 'loopback'],
+  // NAT64 gateways connect to the embedded IPv4 address: 64:ff9b::7f00:1 is 127.0.0.1
+  ['64:ff9b::', 96, 'ipv6', 'NAT64'],
+  ['fc00::', 7, 'ipv6', 'private'],
+  ['fe80::', 10, 'ipv6', 'link-local'],
+  ['ff00::', 8, 'ipv6', 'multicast'],
+];
+
+const blockedRanges = BLOCKED_RANGES.map(([network, prefix, family, label]) => {
+  const list = new BlockList();
+  list.addSubnet(network, prefix, family);
+  return { list, label };
+});
+
+/**
+ * Error raised for a URL the server refuses to fetch
+ * `blocked` lets callers tell it apart from network failures
+ */
+function blockedError(url, reason) {
+  const error = new Error(`Blocked URL ${url}: ${reason}`);
+  error.blocked = true;
+  error.retryable = false;
+  return error;
+}
+
+/**
+ * Why an IP address is blocked ('loopback', 'private', ...), or null if it is public
+ * IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are matched against the IPv4 ranges
+ */
+export function blockedAddressReason(address) {
+  const family = isIP(address) === 6 ? 'ipv6' : 'ipv4';
+  const match = blockedRanges.find(({ list }) => list.check(address, family));
+  return match ? match.label : null;
+}
+
+/**
+ * Whether an address falls inside an "a.b.c.d" or "a.b.c.d/nn" rule
+ */
+function addressMatches(address, rule) {
+  const [network, prefix] = rule.split('/');
+  const family = isIP(network) === 6 ? 'ipv6' : 'ipv4';
+  const list = new BlockList();
+  try {
+    list.addSubnet(network, Number(prefix ?? (family === 'ipv6' ? 128 : 32)), family);
+    return list.check(address, isIP(address) === 6 ? 'ipv6' : 'ipv4');
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Whether a hostname or address matches a config rule
+ * Rules are hostnames ("wiki.internal"), wildcards ("*.corp.example") or IPs/CIDRs ("10.1.0.0/16")
+ */
+function matchesRule(hostname, addresses, rule) {
+  const pattern = rule.toLowerCase();
+  if (isIP(pattern.split('/')[0])) {
+    return addresses.some(address => addressMatches(address, pattern));
+  }
+  if (pattern.startsWith('*.')) {
+    return hostname.endsWith(pattern.slice(1)) || hostname === pattern.slice(2);
+  }
+  return hostname === pattern;
+}
+
+/**
+ * Check that a URL may be fetched, resolving its hostname
+ * Call on every hop - a public URL can redirect to an internal one.
+ *
+ * Rules (config.urlSafety):
+ *   denyHosts  - always refused
+ *   allowHosts - fetched even if they resolve to a private address
+ *   allowPrivateNetworks - turn the private/loopback/link-local block off entirely
+ *
+ * @param {string} url
+ * @throws {Error} with error.blocked = true when the URL is refused
+ */
+export async function assertSafeUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    throw blockedError(url, 'not a valid URL');
+  }
+
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw blockedError(url, `${parsed.protocol} URLs are not supported`);
+  }
+  if (parsed.username || parsed.password) {
+    throw blockedError(url, 'URLs with credentials are not accepted');
+  }
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase().replace(/\.$/, '');
+  const { allowHosts, denyHosts, allowPrivateNetworks } = config.urlSafety;
+
+  let addresses;
+  if (isIP(hostname)) {
+    addresses = [hostname];
+  } else {
+    try {
+      addresses = (await lookup(hostname, { all: true, verbatim: true })).map(entry => entry.address);
+    } catch (error) {
+      // Not a policy decision - DNS can fail transiently, so let the fetch retry
+      const dnsError = new Error(`Could not resolve ${hostname} (${error.code || error.message})`);
+      dnsError.retryable = true;
+      throw dnsError;
+    }
+  }
+
+  if (denyHosts.some(rule => matchesRule(hostname, addresses, rule))) {
+    throw blockedError(url, `${hostname} is on the deny list`);
+  }
+  if (allowPrivateNetworks || allowHosts.some(rule => matchesRule(hostname, addresses, rule))) {
+    return;
+  }
+
+  for (const address of addresses) {
+    const reason = blockedAddressReason(address);
+    if (reason) {
+      const target = address === hostname ? address : `${hostname} resolves to ${address}`;
+      throw blockedError(url, `${target}, a ${reason} address`);
+    }
+  }
+}
+
+export default {
+  assertSafeUrl,
+  blockedAddressReason,
+};
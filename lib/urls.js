@@ -0,0 +1,100 @@
+/**
+ * URL normalization for read-later-podcast
+ * Gives the same article one key no matter which share link or app saved it
+ */
+
+// Query parameters that only track where a click came from
+// (not plain "ref": GitHub and docs sites use ?ref=<branch> to pick what is shown)
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|igshid|ref_src|ref_url|cmpid|icid|ncid|sr_share|s_cid|_hsenc|_hsmi|mkt_tok|spm|yclid|oly_enc_id|oly_anon_id|vero_id|wt_mc|__twitter_impression)$/i;
+
+const YOUTUBE_HOSTS = /^(www\.|m\.|music\.)?(youtube\.com|youtube-nocookie\.com)$/;
+
+/**
+ * YouTube video ID from any of its URL forms (watch, youtu.be, shorts, embed, live)
+ * @param {URL} url
+ * @returns {string|null}
+ */
+export function youTubeVideoId(url) {
+  const host = url.hostname.toLowerCase();
+  let id = null;
+  if (host === 'youtu.be') {
+    id = url.pathname.split('/')[1];
+  } else if (YOUTUBE_HOSTS.test(host)) {
+    id = url.pathname === '/watch'
+      ? url.searchParams.get('v')
+      : url.pathname.match(/^\/(shorts|embed|live|v)\/([^/?#]+)/)?.[2];
+  }
+  return id && /^[\w-]{11}$/.test(id) ? id : null;
+}
+
+/**
+ * Canonical form of a URL for duplicate detection
+ * Lowercases scheme and host, drops "www.", default ports, fragments,
+ * tracking parameters and trailing slashes, and sorts the remaining query.
+ * Every YouTube link to a video becomes https://youtube.com/watch?v=<id>.
+ * @returns {string|null} null if the input isn't an http(s) URL
+ */
+export function canonicalizeUrl(input) {
+  let url;
+  try {
+    url = new URL(String(input).trim());
+  } catch (e) {
+    return null;
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+
+  // Timestamps, playlists and share IDs don't change which video it is
+  const videoId = youTubeVideoId(url);
+  if (videoId) return `https://youtube.com/watch?v=${videoId}`;
+
+  url.protocol = 'https:';
+  url.hostname = url.hostname.toLowerCase().replace(/^www\./, '');
+  url.hash = '';
+  url.username = '';
+  url.password = '';
+
+  const params = [...url.searchParams].filter(([key]) => !TRACKING_PARAMS.test(key));
+  params.sort(([a], [b]) => a.localeCompare(b));
+  url.search = new URLSearchParams(params).toString();
+
+  url.pathname = url.pathname.replace(/\/+$/, '') || '/';
+
+  return url.toString().replace(/\/$/, '');
+}
+
+/**
+ * Host without the prefixes sites use for their mobile and AMP copies
+ */
+function siteHost(url) {
+  return url.hostname.toLowerCase().replace(/^(www|m|mobile|amp)\./, '');
+}
+
+/**
+ * Whether a page's declared canonical URL (rel=canonical, og:url) can be believed
+ * Misconfigured sites point every article's canonical at the homepage or at
+ * another domain; trusting that would make unrelated articles one "duplicate".
+ * @param {string} canonical - Declared canonical URL (absolute)
+ * @param {string} pageUrl - URL the page was fetched from
+ * @returns {boolean}
+ */
+export function isPlausibleCanonical(canonical, pageUrl) {
+  let declared;
+  let page;
+  try {
+    declared = new URL(canonical);
+    page = new URL(pageUrl);
+  } catch (e) {
+    return false;
+  }
+  if (declared.protocol !== 'http:' && declared.protocol !== 'https:') return false;
+  if (siteHost(declared) !== siteHost(page)) return false;
+
+  const isRoot = (url) => url.pathname.replace(/\/+$/, '') === '' && !url.search;
+  return !isRoot(declared) || isRoot(page);
+}
+
+export default {
+  youTubeVideoId,
+  canonicalizeUrl,
+  isPlausibleCanonical,
+};
@@ -1,110 +1,333 @@
 /**
  * YouTube transcript extraction for read-later-podcast
- * Uses yt-dlp for reliable subtitle extraction
+ * Uses yt-dlp for reliable subtitle extraction, and for listing the videos
+ * in playlists and channels
  */
 
-import { execSync } from 'child_process';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
 import { readFileSync, unlinkSync, existsSync } from 'fs';
 import { join } from 'path';
 import { tmpdir } from 'os';
+import { config } from './config.js';
+import { blocksToText } from './readability.js';
+import { youTubeVideoId } from './urls.js';
+import { translateTexts, languageName, isEnglish } from './translate.js';
+
+const execFileAsync = promisify(execFile);
 
 const MAX_TRANSCRIPT_WORDS = 20000;
 
+const YOUTUBE_HOST = /^(www\.|m\.|music\.)?youtube\.com$/i;
+
+// Channel pages: /@handle, /channel/<id>, /c/<name>, /user/<name>, optionally one of their tabs
+const CHANNEL_PATH = /^\/(@[^/]+|channel\/[^/]+|c\/[^/]+|user\/[^/]+)(\/(videos|streams|shorts|featured))?\/?$/;
+
+function parseUrl(url) {
+  try {
+    return new URL(url);
+  } catch (e) {
+    return null;
+  }
+}
+
 /**
- * Check if URL is a YouTube link
+ * Check if URL is a link to a single YouTube video
+ * (watch, youtu.be, shorts, embed, live; a watch link inside a playlist is still one video)
  */
 export function isYouTubeUrl(url) {
-  if (!url) return false;
-  const patterns = [
-    /^https?:\/\/(www\.)?youtube\.com\/watch\?v=/,
-    /^https?:\/\/youtu\.be\//,
-    /^https?:\/\/(www\.)?youtube\.com\/shorts\//,
-    /^https?:\/\/(www\.)?youtube\.com\/embed\//,
-    /^https?:\/\/m\.youtube\.com\/watch\?v=/,
-  ];
-  return patterns.some(pattern => pattern.test(url));
+  return Boolean(url) && extractVideoId(url) !== null;
 }
 
 /**
  * Extract video ID from YouTube URL
  */
 export function extractVideoId(url) {
-  const patterns = [
-    /youtube\.com\/watch\?v=([^&]+)/,
-    /youtu\.be\/([^?]+)/,
-    /youtube\.com\/shorts\/([^?]+)/,
-    /youtube\.com\/embed\/([^?]+)/,
-  ];
-  
-  for (const pattern of patterns) {
-    const match = url.match(pattern);
-    if (match) return match[1];
+  const parsed = parseUrl(url);
+  return parsed ? youTubeVideoId(parsed) : null;
+}
+
+/**
+ * Check if URL is a YouTube playlist or channel (/playlist?list=, /@handle, /channel/, /c/, /user/)
+ */
+export function isYouTubeCollectionUrl(url) {
+  if (!url || isYouTubeUrl(url)) return false;
+  const parsed = parseUrl(url);
+  if (!parsed || !YOUTUBE_HOST.test(parsed.hostname)) return false;
+  return (parsed.pathname === '/playlist' && parsed.searchParams.has('list')) ||
+    CHANNEL_PATH.test(parsed.pathname);
+}
+
+/**
+ * URL yt-dlp should list: a channel's home page lists its tabs, not its videos,
+ * so channel roots go to /videos (newest first)
+ */
+function listingUrl(url) {
+  const parsed = new URL(url);
+  const match = parsed.pathname.match(CHANNEL_PATH);
+  if (match && (!match[3] || match[3] === 'featured')) {
+    parsed.pathname = `/${match[1]}/videos`;
   }
+  return parsed.toString();
+}
+
+/**
+ * Publish date of a yt-dlp entry as an ISO string (timestamp, or YYYYMMDD upload_date)
+ */
+function entryDate(entry) {
+  const timestamp = entry.timestamp || entry.release_timestamp;
+  if (timestamp) return new Date(timestamp * 1000).toISOString();
+  const match = String(entry.upload_date || '').match(/^(\d{4})(\d{2})(\d{2})$/);
+  return match ? `${match[1]}-${match[2]}-${match[3]}T00:00:00.000Z` : null;
+}
+
+/**
+ * Seconds from a VTT timestamp (00:01:02.500 or 01:02.500)
+ */
+function parseVttTime(stamp) {
+  return stamp.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+}
+
+/**
+ * Words of the new line that follow on from the previous one
+ * Drops the longest run of words that ends the previous line and starts the new one
+ */
+function addedWords(previous, text) {
+  const normalize = (word) => word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+  const before = previous.split(/\s+/).filter(Boolean).map(normalize);
+  const words = text.split(/\s+/).filter(Boolean);
+  const after = words.map(normalize);
   
-  return null;
+  for (let overlap = Math.min(before.length, after.length); overlap > 0; overlap--) {
+    if (before.slice(-overlap).every((word, i) => word === after[i])) {
+      return words.slice(overlap).join(' ');
+    }
+  }
+  return text;
 }
 
 /**
- * Parse VTT subtitle file to plain text
+ * Parse a VTT subtitle file into timed cues
+ * Auto-generated captions repeat the previous line in each cue, or grow one
+ * line a few words at a time, so text already shown is dropped and every cue
+ * keeps only what it adds
+ * @returns {Object[]} [{ start, text }] - start in seconds
  */
-function parseVttToText(vttContent) {
-  const lines = vttContent.split('\n');
-  const textLines = [];
+export function parseVtt(vttContent) {
+  const cues = [];
+  let start = null;
   let lastText = '';
   
-  for (const line of lines) {
-    // Skip headers, timestamps, and empty lines
-    if (line.startsWith('WEBVTT') || 
-        line.startsWith('Kind:') || 
-        line.startsWith('Language:') ||
-        line.includes('-->') ||
-        line.trim() === '') {
+  for (const line of vttContent.split('\n')) {
+    const timing = line.match(/^\s*((?:\d+:)?\d+:\d+(?:\.\d+)?)\s+-->/);
+    if (timing) {
+      start = parseVttTime(timing[1]);
       continue;
     }
     
+    // Skip headers and empty lines
+    if (start === null || line.trim() === '') continue;
+    
     // Clean up the text
-    let text = line
+    const text = line
       .replace(/<[^>]+>/g, '')  // Remove VTT tags
       .replace(/&nbsp;/g, ' ')
+      .replace(/&amp;/g, '&')
       .trim();
     
-    // Skip duplicates (VTT often has progressive lines)
-    if (text && text !== lastText && !lastText.includes(text)) {
-      textLines.push(text);
-      lastText = text;
-    }
+    if (!text || text === lastText || lastText.includes(text)) continue;
+    
+    const added = addedWords(lastText, text);
+    lastText = text;
+    if (added) cues.push({ start, text: added });
+  }
+  
+  return cues;
+}
+
+/**
+ * Format seconds as m:ss or h:mm:ss
+ */
+export function formatTimestamp(seconds) {
+  const total = Math.floor(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+/**
+ * Link to a moment in the video
+ */
+export function timestampUrl(videoId, seconds) {
+  return `https://www.youtube.com/watch?v=${videoId}&t=${Math.floor(seconds)}s`;
+}
+
+/**
+ * Chapters for the transcript: the video's own, or fixed-length parts when it has none
+ * @returns {Object[]} [{ title, start, end, auto }]
+ */
+function transcriptChapters(videoChapters, cues, duration) {
+  const end = duration || (cues.length > 0 ? cues[cues.length - 1].start + 1 : 0);
+  if (videoChapters.length >= 2) {
+    return videoChapters.map(chapter => ({
+      title: chapter.title,
+      start: chapter.start_time,
+      end: chapter.end_time ?? end,
+      auto: false,
+    }));
   }
   
-  return textLines.join(' ').replace(/\s+/g, ' ').trim();
+  const length = config.youtube.sectionMinutes * 60;
+  if (end <= length) return [];
+  const chapters = [];
+  for (let start = 0, n = 1; start < end; start += length, n++) {
+    chapters.push({ title: `Part ${n}`, start, end: Math.min(start + length, end), auto: true });
+  }
+  return chapters;
+}
+
+/**
+ * Group cues into one heading and paragraph per chapter
+ * @returns {Object[]} Blocks; headings carry the chapter's start time
+ */
+function transcriptBlocks(cues, chapters) {
+  const join = (list) => list.map(cue => cue.text).join(' ').replace(/\s+/g, ' ').trim();
+  if (chapters.length === 0) return [{ type: 'paragraph', text: join(cues) }];
+  
+  const blocks = [];
+  chapters.forEach((chapter, i) => {
+    const next = chapters[i + 1];
+    const text = join(cues.filter(cue => cue.start >= chapter.start && (!next || cue.start < next.start)));
+    if (!text) return;
+    blocks.push({ type: 'heading', level: 2, text: `[${formatTimestamp(chapter.start)}] ${chapter.title}`, start: chapter.start });
+    blocks.push({ type: 'paragraph', text });
+  });
+  return blocks;
+}
+
+/**
+ * Drop cues past the word limit
+ */
+function limitCues(cues, maxWords) {
+  let words = 0;
+  const kept = [];
+  for (const cue of cues) {
+    words += cue.text.split(/\s+/).length;
+    if (words > maxWords) break;
+    kept.push(cue);
+  }
+  return kept;
 }
 
 /**
  * Fetch video metadata using yt-dlp
+ * subtitles and automaticCaptions are the language codes of the human-written
+ * and auto-generated caption tracks; language is the one the video is spoken in.
+ * If yt-dlp fails, the fields are defaults and error holds its last stderr line.
  */
-function fetchVideoMetadata(videoId) {
+async function fetchVideoMetadata(videoId) {
   try {
-    const result = execSync(
-      `yt-dlp --dump-json --skip-download "https://www.youtube.com/watch?v=${videoId}" 2>/dev/null`,
+    const { stdout } = await execFileAsync(
+      'yt-dlp',
+      ['--dump-json', '--skip-download', `https://www.youtube.com/watch?v=${videoId}`],
       { encoding: 'utf-8', maxBuffer: 10 * 1024 * 1024, timeout: 30000 }
     );
-    const data = JSON.parse(result);
+    const data = JSON.parse(stdout);
     return {
       title: data.title || 'YouTube Video',
       author: data.uploader || data.channel || 'Unknown',
       duration: data.duration || 0,
       description: data.description || '',
+      chapters: Array.isArray(data.chapters) ? data.chapters : [],
+      publishedAt: entryDate(data),
+      language: data.language || null,
+      subtitles: Object.keys(data.subtitles || {}).filter(code => code !== 'live_chat'),
+      automaticCaptions: Object.keys(data.automatic_captions || {}),
     };
   } catch (error) {
-    return { title: 'YouTube Video', author: 'Unknown', duration: 0, description: '' };
+    return {
+      title: 'YouTube Video', author: 'Unknown', duration: 0, description: '', chapters: [], publishedAt: null,
+      language: null, subtitles: [], automaticCaptions: [],
+      error: error.stderr?.trim().split('\n').pop() || error.message,
+    };
+  }
+}
+
+/**
+ * Pick the caption track to download
+ * Human-written captions in the order of the language list come first, then
+ * auto-generated captions in the language the video is spoken in (if listed),
+ * then auto-generated captions in list order (often YouTube's machine translations)
+ * @param {Object} metadata - From fetchVideoMetadata
+ * @param {string[]} [languages] - Language codes, most wanted first (default: config.youtube.subtitles.languages)
+ * @returns {Object|null} { language, kind: 'manual' | 'auto' }
+ */
+export function pickCaptionTrack(metadata, languages = config.youtube.subtitles.languages) {
+  const base = (code) => code.toLowerCase().replace(/-orig$/, '').split('-')[0];
+  const find = (codes, language) =>
+    codes.find(code => code.toLowerCase() === language.toLowerCase()) ||
+    codes.find(code => base(code) === base(language));
+  
+  for (const language of languages) {
+    const code = find(metadata.subtitles, language);
+    if (code) return { language: code, kind: 'manual' };
   }
+  
+  const spoken = metadata.automaticCaptions.find(code => /-orig$/i.test(code)) ||
+    (metadata.language && find(metadata.automaticCaptions, metadata.language));
+  if (spoken && languages.some(language => base(language) === base(spoken))) {
+    return { language: spoken, kind: 'auto' };
+  }
+  
+  for (const language of languages) {
+    const code = find(metadata.automaticCaptions, language);
+    if (code) return { language: code, kind: 'auto' };
+  }
+  return null;
+}
+
+/**
+ * Translate a non-English transcript (title, description, chapter titles and text) to English
+ * @returns {Promise<Object>} { title, description, chapters, blocks }
+ */
+async function translateTranscript({ title, description, chapters, blocks }, from) {
+  const named = chapters.filter(chapter => !chapter.auto);
+  const paragraphs = blocks.filter(block => block.type === 'paragraph');
+  const translated = await translateTexts(
+    [title, description, ...named.map(chapter => chapter.title), ...paragraphs.map(block => block.text)],
+    from
+  );
+  
+  const chapterTitles = new Map(named.map((chapter, i) => [chapter, translated[2 + i]]));
+  const paragraphTexts = new Map(paragraphs.map((block, i) => [block, translated[2 + named.length + i]]));
+  const translatedChapters = chapters.map(chapter => ({ ...chapter, title: chapterTitles.get(chapter) || chapter.title }));
+  const byStart = new Map(translatedChapters.map(chapter => [chapter.start, chapter]));
+  
+  return {
+    title: translated[0] || title,
+    description: translated[1],
+    chapters: translatedChapters,
+    blocks: blocks.map(block => {
+      if (block.type === 'heading' && byStart.has(block.start)) {
+        return { ...block, text: `[${formatTimestamp(block.start)}] ${byStart.get(block.start).title}` };
+      }
+      return paragraphTexts.has(block) ? { ...block, text: paragraphTexts.get(block) } : block;
+    }),
+  };
 }
 
 /**
  * Fetch transcript from YouTube video using yt-dlp
+ * Picks the caption track with pickCaptionTrack; non-English captions are
+ * translated to English unless config.youtube.subtitles.translate is off
  * @param {string} url - YouTube URL
- * @returns {Object} Article-like object with content
+ * @param {Object} [options]
+ * @param {number} [options.maxWords] - Transcript words kept (default 20000)
+ * @returns {Object} Article-like object with content; transcript: { language, kind, translated }
  */
-export async function fetchYouTubeTranscript(url) {
+export async function fetchYouTubeTranscript(url, options = {}) {
+  const maxWords = options.maxWords || MAX_TRANSCRIPT_WORDS;
   const videoId = extractVideoId(url);
   
   if (!videoId) {
@@ -115,60 +338,95 @@ export async function fetchYouTubeTranscript(url) {
   
   // Create temp file path
   const tempBase = join(tmpdir(), `yt_${videoId}_${Date.now()}`);
-  const vttPath = `${tempBase}.en.vtt`;
+  let subtitlePath = null;
   
   try {
-    // Download subtitles using yt-dlp
-    execSync(
-      `yt-dlp --write-auto-sub --sub-lang en --skip-download -o "${tempBase}" "https://www.youtube.com/watch?v=${videoId}" 2>/dev/null`,
-      { encoding: 'utf-8', timeout: 60000 }
-    );
+    // Get video metadata (title, chapters and the caption tracks on offer)
+    const metadata = await fetchVideoMetadata(videoId);
+    const durationMinutes = Math.round(metadata.duration / 60);
     
-    // Check for subtitle file (might be .en.vtt or just .vtt)
-    let subtitlePath = vttPath;
-    if (!existsSync(subtitlePath)) {
-      subtitlePath = `${tempBase}.vtt`;
+    // Without metadata the caption tracks are unknown, so try English auto-captions
+    const track = metadata.error ? { language: 'en', kind: 'auto' } : pickCaptionTrack(metadata);
+    if (metadata.error) {
+      console.log(`  ⚠️ Could not read video metadata (${metadata.error}), trying English auto-captions`);
     }
-    if (!existsSync(subtitlePath)) {
-      // Try listing what files were created
-      const files = execSync(`ls -la ${tempBase}* 2>/dev/null || echo "none"`, { encoding: 'utf-8' });
-      throw new Error(`No subtitles available for this video. Files: ${files}`);
+    if (!track) {
+      throw new Error(`No captions in ${config.youtube.subtitles.languages.join(', ')} for this video`);
+    }
+    console.log(`  Captions: ${languageName(track.language)} (${track.kind === 'manual' ? 'human-written' : 'auto-generated'})`);
+    
+    // Download subtitles using yt-dlp
+    subtitlePath = `${tempBase}.${track.language}.vtt`;
+    try {
+      await execFileAsync(
+        'yt-dlp',
+        [
+          track.kind === 'manual' ? '--write-subs' : '--write-auto-subs',
+          '--sub-langs', track.language,
+          '--sub-format', 'vtt',
+          '--skip-download',
+          '-o', tempBase,
+          `https://www.youtube.com/watch?v=${videoId}`,
+        ],
+        { encoding: 'utf-8', timeout: 60000 }
+      );
+      if (!existsSync(subtitlePath)) {
+        throw new Error(`yt-dlp did not save the ${track.language} captions`);
+      }
+    } catch (error) {
+      // The English fallback was a guess; why the metadata failed is the useful part
+      throw metadata.error ? new Error(`Could not read video metadata: ${metadata.error}`) : error;
     }
     
     // Read and parse subtitles
     const vttContent = readFileSync(subtitlePath, 'utf-8');
-    const transcript = parseVttToText(vttContent);
+    let cues = parseVtt(vttContent);
     
     // Cleanup temp file
     try { unlinkSync(subtitlePath); } catch (e) { /* ignore */ }
     
-    if (!transcript || transcript.length < 50) {
+    if (cues.map(cue => cue.text).join(' ').length < 50) {
       throw new Error('Transcript too short or empty');
     }
     
-    // Get video metadata
-    const metadata = fetchVideoMetadata(videoId);
-    const durationMinutes = Math.round(metadata.duration / 60);
-    
     // Count words and truncate if needed
-    let finalTranscript = transcript;
-    const wordCount = transcript.split(/\s+/).length;
+    const wordCount = cues.reduce((sum, cue) => sum + cue.text.split(/\s+/).length, 0);
+    if (wordCount > maxWords) {
+      console.log(`  Truncating transcript from ${wordCount} to ${maxWords} words`);
+      cues = limitCues(cues, maxWords);
+    }
     
-    if (wordCount > MAX_TRANSCRIPT_WORDS) {
-      console.log(`  Truncating transcript from ${wordCount} to ${MAX_TRANSCRIPT_WORDS} words`);
-      const words = transcript.split(/\s+/);
-      finalTranscript = words.slice(0, MAX_TRANSCRIPT_WORDS).join(' ');
+    // One section per chapter, headed with its start time
+    let chapters = transcriptChapters(metadata.chapters, cues, metadata.duration)
+      .filter(chapter => cues.some(cue => cue.start >= chapter.start && cue.start < chapter.end));
+    let blocks = transcriptBlocks(cues, chapters);
+    if (chapters.length > 0) {
+      console.log(`  ${chapters.length} ${chapters[0].auto ? 'timed parts' : 'chapters'}`);
     }
     
+    // Scripts are written in English, so other languages are translated first
+    let { title, description } = metadata;
+    description = description.slice(0, 500);
+    const translated = !isEnglish(track.language) && config.youtube.subtitles.translate;
+    if (translated) {
+      ({ title, description, chapters, blocks } =
+        await translateTranscript({ title, description, chapters, blocks }, track.language));
+    }
+    const finalTranscript = blocksToText(blocks);
+    
+    const captions = `${languageName(track.language)}, ${track.kind === 'manual' ? 'human-written' : 'auto-generated'}` +
+      (translated ? ', machine-translated to English' : '');
+    
     // Format content with context
     const content = `
-Video Title: ${metadata.title}
+Video Title: ${title}
 Creator: ${metadata.author}
 Duration: ${durationMinutes} minutes
 Source: YouTube
+Captions: ${captions}
 
 --- Video Description ---
-${metadata.description.slice(0, 500)}
+${description}
 
 --- Transcript ---
 
@@ -179,9 +437,15 @@ ${finalTranscript}
 
     return {
       url,
-      title: metadata.title,
+      title,
+      ...(translated ? { originalTitle: metadata.title } : {}),
       author: metadata.author,
+      publishedAt: metadata.publishedAt,
       content,
+      blocks,
+      chapters,
+      videoId,
+      transcript: { language: track.language, kind: track.kind, translated },
       wordCount: content.split(/\s+/).length,
       fetchedAt: new Date().toISOString(),
       isYouTube: true,
@@ -190,13 +454,138 @@ ${finalTranscript}
     
   } catch (error) {
     // Cleanup on error
-    try { unlinkSync(vttPath); } catch (e) { /* ignore */ }
+    if (subtitlePath) {
+      try { unlinkSync(subtitlePath); } catch (e) { /* ignore */ }
+    }
     throw new Error(`Failed to get YouTube transcript: ${error.message}`);
   }
 }
 
+/**
+ * List the videos in a playlist or channel with yt-dlp's flat listing
+ * The cap applies to the listing in its own order (newest first for channels);
+ * undated entries are looked up one by one only when a date filter is set
+ * @param {string} url - Playlist or channel URL
+ * @param {Object} [options]
+ * @param {number} [options.maxItems] - Videos taken from the top of the listing
+ * @param {number|null} [options.sinceDays] - Drop videos published longer ago than this
+ * @returns {Promise<Object>} { url, title, channel, items: [{ url, videoId, title, publishedAt, duration }] }
+ */
+export async function listYouTubeCollection(url, options = {}) {
+  const { maxItems, sinceDays } = { ...config.youtube.collections, ...options };
+  
+  const { stdout } = await execFileAsync(
+    'yt-dlp',
+    ['--flat-playlist', '--dump-single-json', '--playlist-end', String(maxItems), listingUrl(url)],
+    { encoding: 'utf-8', maxBuffer: 20 * 1024 * 1024, timeout: 120000 }
+  );
+  const data = JSON.parse(stdout);
+  
+  let items = (data.entries || [])
+    .filter(entry => entry && /^[\w-]{11}$/.test(entry.id || '') && !/^\[(private|deleted) video\]$/i.test(entry.title || ''))
+    .slice(0, maxItems)
+    .map(entry => ({
+      url: `https://www.youtube.com/watch?v=${entry.id}`,
+      videoId: entry.id,
+      title: entry.title || 'YouTube Video',
+      publishedAt: entryDate(entry),
+      duration: entry.duration || 0,
+    }));
+  
+  if (sinceDays) {
+    const cutoff = Date.now() - sinceDays * 24 * 60 * 60 * 1000;
+    for (const item of items) {
+      if (!item.publishedAt) item.publishedAt = (await fetchVideoMetadata(item.videoId)).publishedAt;
+    }
+    items = items.filter(item => item.publishedAt && Date.parse(item.publishedAt) >= cutoff);
+  }
+  
+  return {
+    url,
+    title: data.title || 'YouTube Playlist',
+    channel: data.channel || data.uploader || null,
+    items,
+  };
+}
+
+/**
+ * Fetch every video in a playlist or channel and combine the transcripts into one "series recap" article
+ * Each video becomes a section (its own chapters nest under it); videos without captions are skipped
+ * @param {string} url - Playlist or channel URL
+ * @param {Object} [options]
+ * @param {Object[]} [options.videos] - Already-listed items from listYouTubeCollection (skips listing again)
+ * @param {number} [options.maxItems]
+ * @param {number|null} [options.sinceDays]
+ * @returns {Promise<Object>} Article-like object; series: { title, url, channel, videos }
+ */
+export async function fetchYouTubeSeries(url, options = {}) {
+  const listing = options.videos
+    ? { url, title: options.title || 'YouTube Playlist', channel: options.channel || null, items: options.videos }
+    : await listYouTubeCollection(url, options);
+  if (listing.items.length === 0) {
+    throw new Error('No videos in this playlist or channel match the filters');
+  }
+  
+  console.log(`  Series recap of ${listing.items.length} video(s): ${listing.title}`);
+  
+  const videos = [];
+  const blocks = [];
+  for (const item of listing.items) {
+    let video;
+    try {
+      video = await fetchYouTubeTranscript(item.url, { maxWords: config.youtube.collections.recapWordsPerVideo });
+    } catch (error) {
+      console.warn(`  ⚠️ Skipping "${item.title}": ${error.message}`);
+      continue;
+    }
+    videos.push({
+      videoId: item.videoId,
+      url: item.url,
+      title: video.title,
+      publishedAt: video.publishedAt || item.publishedAt,
+      transcript: video.transcript,
+    });
+    blocks.push({ type: 'heading', level: 2, text: `Video ${videos.length}: ${video.title}` });
+    blocks.push(...video.blocks.map(block => (block.type === 'heading' ? { ...block, level: block.level + 1 } : block)));
+  }
+  if (videos.length === 0) {
+    throw new Error('None of the videos in this playlist or channel have captions');
+  }
+  
+  const content = `
+Series: ${listing.title}
+${listing.channel ? `Creator: ${listing.channel}\n` : ''}Videos: ${videos.length}
+Source: YouTube
+
+--- Transcripts ---
+
+${blocksToText(blocks)}
+`.trim();
+  
+  console.log(`  ✓ Series transcripts extracted: ${content.split(/\s+/).length} words`);
+  
+  return {
+    url,
+    title: `${listing.title} (Series Recap)`,
+    author: listing.channel,
+    content,
+    blocks,
+    series: { title: listing.title, url, channel: listing.channel, videos },
+    wordCount: content.split(/\s+/).length,
+    fetchedAt: new Date().toISOString(),
+    isYouTube: true,
+  };
+}
+
 export default {
   isYouTubeUrl,
+  isYouTubeCollectionUrl,
   extractVideoId,
+  parseVtt,
+  formatTimestamp,
+  timestampUrl,
+  pickCaptionTrack,
   fetchYouTubeTranscript,
+  listYouTubeCollection,
+  fetchYouTubeSeries,
 };
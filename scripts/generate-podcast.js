@@ -1,75 +1,303 @@
 #!/usr/bin/env node
 /**
- * Generate podcast from a single URL
- * Usage: node scripts/generate-podcast.js <url>
+ * Generate podcast from a single URL or local file
+ * Usage:
+ *   node scripts/generate-podcast.js <url|path> [--from-stage <stage>] [--allow-duplicate]
+ *   node scripts/generate-podcast.js <book.epub> --chapter <n|n-m|title>
+ *   node scripts/generate-podcast.js <book.epub> --list-chapters
+ *   node scripts/generate-podcast.js <url|path> --script-only [--out <file.md|file.json>]
+ *   node scripts/generate-podcast.js --render <file.md|file.json>
+ *   node scripts/generate-podcast.js <playlist|channel url> [--collection each|recap] [--max-items <n>] [--since-days <n>]
+ *   node scripts/generate-podcast.js <url|path> --format summarize|discussion
+ *
+ * Local paths can be .md, .txt, .html, .epub or a directory of such files.
+ * YouTube playlist and channel URLs make one episode per video (each) or a
+ * single series recap (recap); defaults come from config.youtube.collections.
+ * Podcast episodes (episode pages, audio files) are transcribed locally and
+ * made into a short highlight reel; --format picks the script format for any source.
+ *
+ * Reruns resume from the last completed stage; --from-stage forces that
+ * stage (and everything after it) to run again. A URL or text that already
+ * has an episode is not rendered again unless --allow-duplicate is passed.
+ *
+ * --script-only stops after script generation and writes an editable
+ * [HOST]/[EXPERT] markdown (or JSON) file. --render turns such a file into
+ * audio without fetching the article or calling the LLM.
  */
 
-import { config, content, scriptGen, tts } from '../lib/index.js';
-import { join } from 'path';
+import { EventEmitter } from 'events';
+import { resolve, join } from 'path';
+import { config, pipeline, scriptGen, localFiles, collections } from '../lib/index.js';
+
+const STAGE_MESSAGES = {
+  fetch: '📥 Fetching article...',
+  expand: '📝 Content too short, researching and expanding...',
+  script: '✍️ Generating podcast script...',
+  audio: '🎤 Generating audio (this may take a few minutes)...',
+};
+
+const USAGE = `Usage:
+  node scripts/generate-podcast.js <url|path> [--from-stage <stage>] [--allow-duplicate]
+  node scripts/generate-podcast.js <book.epub> --chapter <n|n-m|title>
+  node scripts/generate-podcast.js <book.epub> --list-chapters
+  node scripts/generate-podcast.js <url|path> --script-only [--out <file.md|file.json>]
+  node scripts/generate-podcast.js --render <file.md|file.json>
+  node scripts/generate-podcast.js <playlist|channel url> [--collection each|recap] [--max-items <n>] [--since-days <n>]
+  node scripts/generate-podcast.js <url|path> --format summarize|discussion
+
+Paths: .md, .txt, .html, .epub, or a directory of .md/.txt/.html files`;
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const args = {
+    input: null,
+    fromStage: null,
+    scriptOnly: false,
+    out: null,
+    render: null,
+    chapter: null,
+    listChapters: false,
+    allowDuplicate: false,
+    collection: {},
+    format: null,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const [flag, inline] = arg.split(/=(.*)/s);
+    const value = () => (inline !== undefined ? inline : argv[++i]);
+
+    if (flag === '--from-stage') {
+      args.fromStage = value();
+    } else if (flag === '--script-only') {
+      args.scriptOnly = true;
+    } else if (flag === '--out') {
+      args.out = value();
+    } else if (flag === '--render') {
+      args.render = value();
+    } else if (flag === '--chapter') {
+      args.chapter = value();
+    } else if (flag === '--list-chapters') {
+      args.listChapters = true;
+    } else if (flag === '--allow-duplicate') {
+      args.allowDuplicate = true;
+    } else if (flag === '--collection') {
+      args.collection.mode = value();
+    } else if (flag === '--max-items') {
+      args.collection.maxItems = Number(value());
+    } else if (flag === '--since-days') {
+      args.collection.sinceDays = Number(value());
+    } else if (flag === '--format') {
+      args.format = value();
+    } else if (!args.input) {
+      args.input = arg;
+    }
+  }
+  return args;
+}
+
+/**
+ * Print stage events the way the single URL mode always has
+ */
+function createEvents() {
+  const events = new EventEmitter();
+  events.on('stage', ({ stage, status, error }) => {
+    if (status === 'start' && STAGE_MESSAGES[stage]) {
+      console.log(STAGE_MESSAGES[stage]);
+    } else if (status === 'restored') {
+      console.log(`↺ Reusing ${stage} output from previous run`);
+    } else if (status === 'failed') {
+      console.error(`   ${stage} failed: ${error}`);
+    }
+  });
+  events.on('progress', ({ current, total, percent }) => {
+    process.stdout.write(`\r  Progress: ${current}/${total} (${percent}%)`);
+    if (current === total) process.stdout.write('\n');
+  });
+  return events;
+}
+
+/**
+ * Render a previously written script file to audio
+ */
+async function renderScriptFile(file, fromStage) {
+  const path = resolve(file);
+  console.log('🎙️ Read Later Podcast - Render Script Mode\n');
+  console.log(`Script: ${path}\n`);
+
+  const { title, url, script } = scriptGen.readScriptFile(path);
+  console.log(`   Segments: ${script.segments.length}`);
+  console.log(`   Estimated duration: ~${script.estimatedMinutes} minutes\n`);
+
+  return pipeline.runPipeline(
+    { path, url, title },
+    { events: createEvents(), upload: false, fromStage, script }
+  );
+}
+
+/**
+ * Print an EPUB's chapters so one can be picked with --chapter
+ */
+async function listChapters(path) {
+  const book = await localFiles.readEpub(path);
+  console.log(`${book.title}${book.author ? ` - ${book.author}` : ''}\n`);
+  console.log(localFiles.formatChapterList(book.chapters));
+  console.log(`\nGenerate with:\n  npm run generate -- "${path}" --chapter <number>\n`);
+}
+
+/**
+ * Write a --script-only result to an editable script file
+ * @returns {string} The file path
+ */
+function writeScript(result, source, out) {
+  const date = new Date().toISOString().split('T')[0];
+  const path = out ||
+    join(process.cwd(), config.output.dir, 'scripts', `${date}-${pipeline.slugify(result.title)}.md`);
+  scriptGen.writeScriptFile(path, result.script, { title: result.title, url: source.url || null });
+  return path;
+}
+
+/**
+ * Make one episode (or script) per video of a playlist or channel, one after another
+ */
+async function generateEach(sources, args) {
+  console.log(`🎙️ Read Later Podcast - Playlist Mode (${sources.length} videos)\n`);
+
+  let failed = 0;
+  for (const [i, source] of sources.entries()) {
+    console.log(`\n[${i + 1}/${sources.length}] ${source.title}\nURL: ${source.url}\n`);
+    const result = await pipeline.runPipeline(source, {
+      events: createEvents(),
+      upload: false,
+      fromStage: args.fromStage,
+      stopAfter: args.scriptOnly ? 'script' : null,
+      allowDuplicates: args.allowDuplicate,
+    });
+
+    if (!result.success) {
+      failed++;
+      console.error(`❌ Error: ${result.error}`);
+    } else if (result.duplicateOf) {
+      console.log(`⏭️ Already made: ${result.duplicateOf.podcastUrl}`);
+    } else if (args.scriptOnly) {
+      console.log(`✅ Script: ${writeScript(result, source, null)}`);
+    } else {
+      console.log(`✅ Output: ${result.podcastPath}`);
+    }
+  }
+
+  console.log(`\nDone: ${sources.length - failed} of ${sources.length} video(s)`);
+  if (failed > 0) process.exit(1);
+}
 
 async function main() {
-  const url = process.argv[2];
-  
-  if (!url) {
-    console.error('Usage: node scripts/generate-podcast.js <url>');
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.input && !args.render) {
+    console.error(USAGE);
+    console.error(`Stages: ${pipeline.STAGES.join(', ')}`);
     process.exit(1);
   }
-  
-  console.log('🎙️ Read Later Podcast - Single URL Mode\n');
-  console.log(`URL: ${url}\n`);
-  
-  try {
-    // 1. Fetch article content
-    console.log('📥 Fetching article...');
-    const article = await content.fetchArticle(url);
-    console.log(`   Title: "${article.title}"`);
-    console.log(`   Words: ${article.wordCount}`);
-    
-    // 2. Detect category
-    const category = content.detectCategory(article.content, article.title);
-    console.log(`   Category: ${category}\n`);
-    
-    // 3. Expand content if needed
-    let finalArticle = article;
-    if (content.needsExpansion(article.wordCount)) {
-      console.log('📝 Content too short, researching and expanding...');
-      finalArticle = await content.expandContent(
-        article, 
-        config.content.minWordsForPodcast
-      );
-      console.log(`   Expanded to: ${finalArticle.wordCount} words\n`);
+
+  const isLocal = localFiles.isLocalPath(args.input);
+  let source = isLocal
+    ? { path: resolve(args.input), chapter: args.chapter }
+    : { url: args.input };
+
+  if (args.format) {
+    if (!scriptGen.SCRIPT_FORMATS.includes(args.format)) {
+      console.error(`--format must be one of: ${scriptGen.SCRIPT_FORMATS.join(', ')}`);
+      process.exit(1);
+    }
+    source.format = args.format;
+  }
+
+  if (args.listChapters) {
+    if (!isLocal || !/\.epub$/i.test(args.input)) {
+      console.error('--list-chapters needs a local .epub file');
+      process.exit(1);
+    }
+    await listChapters(source.path);
+    return;
+  }
+
+  if (!args.render && collections.isCollectionSource(source)) {
+    source.collection = args.collection;
+    let sources;
+    try {
+      const { mode } = collections.collectionOptions(source);
+      if (mode === 'each' && args.out) throw new Error('--out needs --collection recap (each video gets its own script)');
+      sources = (await collections.expandSource(source))
+        .map(item => (args.format ? { ...item, format: args.format } : item));
+      if (mode === 'each') {
+        await generateEach(sources, args);
+        return;
+      }
+    } catch (error) {
+      console.error('\n❌ Error:', error.message);
+      process.exit(1);
     }
-    
-    // 4. Generate podcast script
-    console.log('✍️ Generating podcast script...');
-    const script = await scriptGen.generateScript(finalArticle);
-    console.log(`   Segments: ${script.segments.length}`);
-    console.log(`   Estimated duration: ~${script.estimatedMinutes} minutes\n`);
-    
-    // 5. Generate podcast audio
-    console.log('🎤 Generating audio (this may take a few minutes)...');
-    const date = new Date().toISOString().split('T')[0];
-    const slug = finalArticle.title
-      .toLowerCase()
-      .replace(/[^a-z0-9]+/g, '-')
-      .replace(/^-|-$/g, '')
-      .slice(0, 50);
-    
-    const outputDir = join(process.cwd(), config.output.dir);
-    const podcastPath = await tts.generatePodcast(script, outputDir, `${date}-${slug}`);
-    
+    source = sources[0];
+  }
+
+  let result;
+  if (args.render) {
+    result = await renderScriptFile(args.render, args.fromStage);
+  } else {
+    const mode = args.scriptOnly ? 'Script Only' : isLocal ? 'Local File' : source.collection ? 'Series Recap' : 'Single URL';
+    console.log(`🎙️ Read Later Podcast - ${mode} Mode\n`);
+    console.log(isLocal ? `Path: ${source.path}\n` : `URL: ${args.input}\n`);
+
+    // Single URL mode keeps the file local
+    result = await pipeline.runPipeline(source, {
+      events: createEvents(),
+      upload: false,
+      fromStage: args.fromStage,
+      stopAfter: args.scriptOnly ? 'script' : null,
+      allowDuplicates: args.allowDuplicate,
+    });
+  }
+
+  if (!result.success) {
+    console.error('\n❌ Error:', result.error);
+    process.exit(1);
+  }
+
+  if (result.duplicateOf) {
+    console.log(`\n⏭️ Already made: ${result.duplicateOf.title || result.duplicateOf.urls[0]}`);
+    console.log(`Podcast: ${result.duplicateOf.podcastUrl}`);
+    console.log('Pass --allow-duplicate to render it again.\n');
+    return;
+  }
+
+  if (args.scriptOnly) {
+    const out = writeScript(result, source, args.out);
+
     console.log('\n' + '='.repeat(60));
-    console.log('✅ PODCAST GENERATED SUCCESSFULLY');
+    console.log('✅ SCRIPT WRITTEN');
     console.log('='.repeat(60));
-    console.log(`\nTitle: ${finalArticle.title}`);
-    console.log(`Category: ${category}`);
-    console.log(`Duration: ~${script.estimatedMinutes} minutes`);
-    console.log(`Output: ${podcastPath}\n`);
-    
-  } catch (error) {
-    console.error('\n❌ Error:', error.message);
-    process.exit(1);
+    console.log(`\nTitle: ${result.title}`);
+    console.log(`Segments: ${result.script.segments.length}`);
+    console.log(`Duration: ~${result.duration} minutes`);
+    console.log(`Script: ${out}`);
+    console.log(`\nEdit it, then render with:\n  npm run generate -- --render "${out}"\n`);
+    return;
   }
+
+  console.log('\n' + '='.repeat(60));
+  console.log('✅ PODCAST GENERATED SUCCESSFULLY');
+  console.log('='.repeat(60));
+  console.log(`\nTitle: ${result.title}`);
+  if (result.tags.length > 0) console.log(`Categories: ${result.tags.map(tag => tag.name).join(', ')}`);
+  if (result.wordCount) console.log(`Words: ${result.wordCount}${result.expanded ? ' (expanded)' : ''}`);
+  console.log(`Duration: ~${result.duration} minutes${result.scriptFormat === 'summarize' ? ' (highlight reel)' : ''}`);
+  if (result.research) console.log(`Research: ${result.research.items.length} point(s), flagged in the episode and show notes`);
+  console.log(`Output: ${result.podcastPath}`);
+  console.log(`Show notes: ${result.showNotesPath}\n`);
 }
 
-main();
+main().catch(error => {
+  console.error('❌ Error:', error.message);
+  process.exit(1);
+});
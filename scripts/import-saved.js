@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+/**
+ * Import saved items from a read-later service export
+ * Usage:
+ *   node scripts/import-saved.js <export-file> [--to notion|queue] [--service <name>] [--limit N] [--dry-run]
+ *
+ * Formats: Pocket HTML/CSV, Instapaper CSV, Raindrop CSV/JSON, Readwise Reader CSV
+ * (detected from the file; --service forces one).
+ *
+ * --to notion (default) adds a "New" row per item, skipping URLs already in the database.
+ * --to queue sends the items to a running server's POST /import, which queues
+ * them directly (PODCAST_SERVER_URL, default http://localhost:3456).
+ * Tags and topic folders become the episode's categories either way.
+ */
+
+import { config, notion, importers } from '../lib/index.js';
+
+const USAGE = `Usage:
+  node scripts/import-saved.js <export-file> [--to notion|queue] [--service pocket|instapaper|raindrop|readwise] [--limit N] [--dry-run]`;
+
+function parseArgs(argv) {
+  const args = { file: null, to: 'notion', service: null, limit: null, dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const [flag, inline] = arg.split(/=(.*)/s);
+    const value = () => (inline !== undefined ? inline : argv[++i]);
+
+    if (flag === '--to') {
+      args.to = value();
+    } else if (flag === '--service') {
+      args.service = value();
+    } else if (flag === '--limit') {
+      args.limit = Number(value());
+    } else if (flag === '--dry-run') {
+      args.dryRun = true;
+    } else if (!args.file) {
+      args.file = arg;
+    }
+  }
+  return args;
+}
+
+/**
+ * Create a Notion row per item
+ */
+async function importToNotion(items) {
+  let created = 0;
+  for (const item of items) {
+    try {
+      await notion.createArticle({ url: item.url, title: item.title, categories: item.tags });
+      created++;
+      console.log(`  + ${item.title || item.url}`);
+    } catch (error) {
+      console.error(`  ✗ ${item.url}: ${error.message}`);
+    }
+  }
+  return created;
+}
+
+/**
+ * Hand the items to the server's queue
+ */
+async function importToQueue(items) {
+  const server = process.env.PODCAST_SERVER_URL || `http://localhost:${process.env.PODCAST_PORT || 3456}`;
+  const secret = process.env.PODCAST_WEBHOOK_SECRET || 'podcast-secret-key';
+
+  const response = await fetch(`${server}/import`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Webhook-Secret': secret },
+    body: JSON.stringify({ items: items.map(({ url, title, tags }) => ({ url, title, tags })) }),
+  });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(`Server refused import: ${body.error || `HTTP ${response.status}`}`);
+  }
+  if (body.duplicates) {
+    console.log(`  Server skipped ${body.duplicates} item(s) already queued`);
+  }
+  return body.queued;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.file || !['notion', 'queue'].includes(args.to)) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  console.log('🎙️ Read Later Podcast - Import\n');
+
+  const { service, items } = importers.parseExportFile(args.file, { service: args.service });
+  console.log(`Read ${items.length} item(s) from ${service} export`);
+
+  // Notion rows already in the database count as duplicates; the server checks its own queue
+  let existing = [];
+  if (args.to === 'notion') {
+    if (!config.notion.apiKey) {
+      console.error('Error: NOTION_API_KEY not set');
+      process.exit(1);
+    }
+    existing = await notion.getAllUrls();
+  }
+
+  let { items: fresh, duplicates } = importers.dedupeItems(items, existing);
+  console.log(`Skipping ${duplicates} duplicate(s)`);
+  if (args.limit) fresh = fresh.slice(0, args.limit);
+
+  if (args.dryRun) {
+    for (const item of fresh) {
+      const tags = item.tags.length > 0 ? ` [${item.tags.join(', ')}]` : '';
+      console.log(`  ${item.title || '(untitled)'} - ${item.url}${tags}`);
+    }
+    console.log(`\nWould import ${fresh.length} item(s) to ${args.to}`);
+    return;
+  }
+
+  console.log(`Importing ${fresh.length} item(s) to ${args.to}...\n`);
+  const imported = args.to === 'notion' ? await importToNotion(fresh) : await importToQueue(fresh);
+
+  console.log(`\n✅ Imported ${imported} item(s)`);
+}
+
+main().catch(error => {
+  console.error('Fatal error:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+/**
+ * Poll subscribed RSS/Atom feeds and turn new entries into podcasts
+ * Usage: node scripts/poll-feeds.js [--dry-run]
+ *
+ * Subscriptions live in config.feeds.subscriptions. --dry-run lists the
+ * entries that would be processed without marking anything seen. An entry
+ * is marked seen once it has run, so an interrupted poll picks it up again.
+ */
+
+import { EventEmitter } from 'events';
+import { config, feeds, pipeline } from '../lib/index.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function main() {
+  console.log('🎙️ Read Later Podcast - Polling Feeds\n');
+
+  if (config.feeds.subscriptions.length === 0) {
+    console.log('No feeds configured. Add subscriptions to config.feeds.subscriptions.');
+    return;
+  }
+
+  const items = await feeds.getNewFeedItems({ dryRun });
+  if (items.length === 0) {
+    console.log('No new feed entries.');
+    return;
+  }
+
+  console.log(`Found ${items.length} new feed entr${items.length === 1 ? 'y' : 'ies'}.\n`);
+
+  const results = [];
+  for (const item of items) {
+    console.log(`\n${'='.repeat(60)}`);
+    console.log(`Processing: ${item.title}`);
+    console.log(`  ${item.url}`);
+    console.log(`${'='.repeat(60)}\n`);
+
+    if (dryRun) continue;
+
+    const events = pipeline.reportToConsole(new EventEmitter());
+    const result = await pipeline.runPipeline(item, { events });
+    feeds.markSeen(item);
+    results.push(result);
+
+    if (result.success) {
+      console.log(`\n✅ Podcast created: ${result.podcastUrl}`);
+    } else {
+      console.error(`\n❌ Failed to process ${item.url}:`, result.error);
+    }
+  }
+
+  if (dryRun) return;
+
+  console.log('\n' + '='.repeat(60));
+  console.log('POLL COMPLETE');
+  console.log('='.repeat(60));
+  console.log(`✅ Successful: ${results.filter(r => r.success).length}`);
+  console.log(`❌ Failed: ${results.filter(r => !r.success).length}`);
+}
+
+main().catch(error => {
+  console.error('Fatal error:', error.message);
+  process.exit(1);
+});
@@ -1,81 +1,64 @@
 #!/usr/bin/env node
 /**
  * Process all new articles from Notion database
+ * Usage: node scripts/process-articles.js [--from-stage <stage>]
  */
 
-import { config, notion, content, scriptGen, tts, uploadToGitHub } from '../lib/index.js';
-import { join } from 'path';
+import { EventEmitter } from 'events';
+import { config, notion, pipeline, collections } from '../lib/index.js';
 
+// Optional --from-stage <stage> forces a stage to re-run instead of resuming
+const fromStageIndex = process.argv.findIndex(arg => arg === '--from-stage');
+const fromStage = fromStageIndex !== -1 ? process.argv[fromStageIndex + 1] : null;
+
+/**
+ * Process one Notion row; a playlist or channel row may turn into several episodes
+ */
 async function processArticle(article) {
+  let sources;
+  try {
+    sources = await collections.expandSource({ url: article.url, notionPageId: article.id, categories: article.categories });
+  } catch (error) {
+    await notion.markError(article.id, `Could not list playlist/channel: ${error.message}`);
+    return [{ success: false, error: error.message }];
+  }
+  
+  const results = [];
+  for (const source of sources) {
+    results.push(await processSource(source));
+  }
+  return results;
+}
+
+async function processSource(source) {
   console.log(`\n${'='.repeat(60)}`);
-  console.log(`Processing: ${article.url}`);
+  console.log(`Processing: ${source.url}`);
   console.log(`${'='.repeat(60)}\n`);
   
-  try {
-    // Mark as processing
-    await notion.updateStatus(article.id, 'Processing');
-    
-    // 1. Fetch article content
-    const fetchedArticle = await content.fetchArticle(article.url);
-    console.log(`Fetched: "${fetchedArticle.title}" (${fetchedArticle.wordCount} words)`);
-    
-    // 2. Detect category
-    const category = content.detectCategory(fetchedArticle.content, fetchedArticle.title);
-    console.log(`Category: ${category}`);
-    
-    // 3. Expand content if needed
-    let finalArticle = fetchedArticle;
-    if (content.needsExpansion(fetchedArticle.wordCount)) {
-      console.log(`Content too short, expanding...`);
-      finalArticle = await content.expandContent(
-        fetchedArticle, 
-        config.content.minWordsForPodcast
-      );
-    }
-    
-    // 4. Generate podcast script
-    const script = await scriptGen.generateScript(finalArticle);
-    console.log(`Script generated: ${script.segments.length} segments, ~${script.estimatedMinutes} minutes`);
-    
-    // 5. Generate podcast audio
-    const date = new Date().toISOString().split('T')[0];
-    const slug = finalArticle.title
-      .toLowerCase()
-      .replace(/[^a-z0-9]+/g, '-')
-      .replace(/^-|-$/g, '')
-      .slice(0, 50);
-    
-    const outputDir = join(process.cwd(), config.output.dir);
-    const podcastPath = await tts.generatePodcast(script, outputDir, `${date}-${slug}`);
-    
-    console.log(`\n✅ Podcast created: ${podcastPath}`);
-    
-    // 6. Upload to GitHub for public access
-    const publicUrl = await uploadToGitHub(podcastPath, slug);
-    
-    // 7. Update Notion with public URL
-    await notion.markComplete(article.id, {
-      podcastUrl: publicUrl,
-      category,
-      title: finalArticle.title,
-    });
-    
-    return {
-      success: true,
-      path: podcastPath,
-      title: finalArticle.title,
-      category,
-      duration: script.estimatedMinutes,
-    };
-    
-  } catch (error) {
-    console.error(`\n❌ Failed to process ${article.url}:`, error.message);
-    await notion.markError(article.id, error.message);
+  const events = pipeline.reportToConsole(new EventEmitter());
+  const result = await pipeline.runPipeline(source, { events, fromStage });
+  
+  if (!result.success) {
+    console.error(`\n❌ Failed to process ${source.url}:`, result.error);
     return {
       success: false,
-      error: error.message,
+      error: result.error,
     };
   }
+  
+  if (result.duplicateOf) {
+    console.log(`\n⏭️ Duplicate, linked to existing episode: ${result.podcastUrl}`);
+  } else {
+    console.log(`\n✅ Podcast created: ${result.podcastPath}`);
+  }
+  
+  return {
+    success: true,
+    path: result.podcastPath,
+    title: result.title,
+    category: result.category,
+    duration: result.duration,
+  };
 }
 
 async function main() {
@@ -107,8 +90,7 @@ async function main() {
     // Process each article
     const results = [];
     for (const article of articles) {
-      const result = await processArticle(article);
-      results.push(result);
+      results.push(...await processArticle(article));
     }
     
     // Summary
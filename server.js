@@ -5,18 +5,38 @@
  */
 
 import express from 'express';
-import { config, notion, content, scriptGen, tts } from './lib/index.js';
-import { uploadToGitHub } from './lib/github-upload.js';
-import { join } from 'path';
+import { EventEmitter } from 'events';
+import { config, notion, pipeline, jobs, feeds, urlSafety, importers, collections, scriptGen } from './lib/index.js';
 
 const app = express();
-app.use(express.json());
+app.use(express.json({ limit: '5mb' })); // Large enough for read-later exports sent to /import
 
 const PORT = process.env.PODCAST_PORT || 3456;
 const WEBHOOK_SECRET = process.env.PODCAST_WEBHOOK_SECRET || 'podcast-secret-key';
 
-// Track processing to avoid duplicates
-const processing = new Set();
+// Persistent queue - jobs survive restarts and are resumed on startup
+const queue = jobs.createJobQueue({ worker: runJob });
+
+/**
+ * Simple shared-secret auth, from the X-Webhook-Secret or Authorization header
+ */
+function requireSecret(req, res, next) {
+  const authHeader = req.headers['x-webhook-secret'] || req.headers['authorization'];
+  if (authHeader !== WEBHOOK_SECRET && authHeader !== `Bearer ${WEBHOOK_SECRET}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+}
+
+/**
+ * Shared-secret auth for the SSE streams
+ * EventSource can't set headers, so only these routes also accept ?secret=
+ * (query strings end up in proxy and access logs)
+ */
+function requireStreamSecret(req, res, next) {
+  if (req.query.secret === WEBHOOK_SECRET) return next();
+  requireSecret(req, res, next);
+}
 
 /**
  * Health check endpoint
@@ -41,36 +61,27 @@ app.get('/status', async (req, res) => {
  * Webhook endpoint for Notion
  * Can be triggered by Notion automations or Zapier/Make
  */
-app.post('/webhook', async (req, res) => {
-  // Verify secret (simple auth)
-  const authHeader = req.headers['x-webhook-secret'] || req.headers['authorization'];
-  if (authHeader !== WEBHOOK_SECRET && authHeader !== `Bearer ${WEBHOOK_SECRET}`) {
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
-  
+app.post('/webhook', requireSecret, async (req, res) => {
   console.log('📨 Webhook received:', JSON.stringify(req.body).slice(0, 200));
   
-  // Respond immediately, process async
-  res.json({ status: 'accepted', message: 'Processing started' });
-  
-  // Process in background
-  processNewArticles().catch(err => {
-    console.error('Background processing error:', err);
-  });
+  try {
+    const queued = await enqueueNewArticles();
+    res.json({ status: 'accepted', message: `Queued ${queued.length} article(s)`, jobs: queued.map(describeJob) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
 /**
- * Manual trigger endpoint
+ * Manual trigger endpoint (Notion rows and feed subscriptions)
+ * Feeds are polled in the background - fetching their entries can take minutes -
+ * so only the Notion jobs are in the response; feed jobs show up in GET /jobs
  */
-app.post('/process', async (req, res) => {
-  const authHeader = req.headers['x-webhook-secret'] || req.headers['authorization'];
-  if (authHeader !== WEBHOOK_SECRET && authHeader !== `Bearer ${WEBHOOK_SECRET}`) {
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
-  
+app.post('/process', requireSecret, async (req, res) => {
   try {
-    const results = await processNewArticles();
-    res.json({ status: 'ok', results });
+    const queued = await enqueueNewArticles();
+    const feedsPolling = pollFeedsInBackground();
+    res.json({ status: 'ok', jobs: queued.map(describeJob), feedsPolling });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -78,154 +89,267 @@ app.post('/process', async (req, res) => {
 
 /**
  * Process a specific URL (direct trigger)
+ * Body: { url, collection?: { mode?, maxItems?, sinceDays? }, format? } - collection applies to
+ * YouTube playlist and channel URLs ('each' queues every video, 'recap' one episode);
+ * format picks the script format ('summarize' is the default for podcast episodes)
  */
-app.post('/generate', async (req, res) => {
-  const authHeader = req.headers['x-webhook-secret'] || req.headers['authorization'];
-  if (authHeader !== WEBHOOK_SECRET && authHeader !== `Bearer ${WEBHOOK_SECRET}`) {
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
-  
-  const { url } = req.body;
+app.post('/generate', requireSecret, async (req, res) => {
+  const { url, collection, format } = req.body;
   if (!url) {
     return res.status(400).json({ error: 'URL required' });
   }
+  if (format && !scriptGen.SCRIPT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of: ${scriptGen.SCRIPT_FORMATS.join(', ')}` });
+  }
   
-  res.json({ status: 'accepted', message: `Processing ${url}` });
+  const source = { url, ...(collection ? { collection } : {}), ...(format ? { format } : {}) };
   
-  // Process in background
-  processUrl(url).catch(err => {
-    console.error('URL processing error:', err);
-  });
+  // Refuse internal targets (and bad collection settings) before queueing; fetches re-check every redirect
+  try {
+    await urlSafety.assertSafeUrl(url);
+    collections.collectionOptions(source);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
+  let sources;
+  try {
+    sources = await collections.expandSource(source);
+  } catch (error) {
+    return res.status(502).json({ error: `Could not list ${url}: ${error.message}` });
+  }
+  
+  const queued = sources.map(item => queue.enqueue(format ? { ...item, format } : item));
+  if (!collections.isCollectionSource(source) || queued.length === 1) {
+    return res.json({ status: 'accepted', message: `Processing ${url}`, job: describeJob(queued[0]) });
+  }
+  res.json({ status: 'accepted', message: `Queued ${queued.length} video(s) from ${url}`, jobs: queued.map(describeJob) });
 });
 
 /**
- * Process all new articles from Notion
+ * Queue items from a read-later export (see scripts/import-saved.js)
+ * Body: { items: [{ url, title?, tags? }] }; URLs that already have a job are skipped
  */
-async function processNewArticles() {
-  const articles = await notion.getNewArticles();
-  console.log(`Found ${articles.length} new articles`);
+app.post('/import', requireSecret, (req, res) => {
+  const { items } = req.body;
+  if (!Array.isArray(items)) {
+    return res.status(400).json({ error: 'items array required' });
+  }
   
-  const results = [];
+  const existing = queue.list().map(job => job.source.url).filter(Boolean);
+  const { items: fresh, duplicates } = importers.dedupeItems(
+    items.filter(item => item && typeof item.url === 'string')
+      .map(item => ({ url: item.url, title: item.title || null, tags: Array.isArray(item.tags) ? item.tags : [] })),
+    existing
+  );
   
-  for (const article of articles) {
-    if (processing.has(article.id)) {
-      console.log(`Skipping ${article.id} - already processing`);
-      continue;
-    }
-    
-    try {
-      processing.add(article.id);
-      const result = await processArticle(article);
-      results.push(result);
-    } finally {
-      processing.delete(article.id);
-    }
+  const queued = fresh.map(item => queue.enqueue({
+    url: item.url,
+    title: item.title,
+    categories: item.tags,
+  }));
+  console.log(`📥 Imported ${queued.length} item(s), skipped ${duplicates} duplicate(s)`);
+  res.json({ status: 'accepted', queued: queued.length, duplicates, jobs: queued.map(describeJob) });
+});
+
+/**
+ * List all jobs, newest first
+ */
+app.get('/jobs', requireSecret, (req, res) => {
+  const { state } = req.query;
+  const list = queue.list()
+    .filter(job => !state || job.state === state)
+    .reverse()
+    .map(describeJob);
+  res.json({ jobs: list });
+});
+
+/**
+ * Single job status
+ */
+app.get('/jobs/:id', requireSecret, (req, res) => {
+  const job = queue.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(describeJob(job));
+});
+
+/**
+ * Live progress stream (Server-Sent Events) for one job
+ */
+app.get('/jobs/:id/events', requireStreamSecret, (req, res) => {
+  const job = queue.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
   }
+  streamJobEvents(req, res, job.id);
+});
+
+/**
+ * Live progress stream (Server-Sent Events) for all jobs
+ */
+app.get('/events', requireStreamSecret, (req, res) => {
+  streamJobEvents(req, res, null);
+});
+
+/**
+ * Pipe queue events to an SSE response
+ * @param {string|null} jobId - Only send events for this job (null = all jobs)
+ */
+function streamJobEvents(req, res, jobId) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+  });
+  
+  const send = (event, job) => {
+    if (jobId && job.id !== jobId) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(describeJob(job))}\n\n`);
+  };
+  const onJob = job => send('job', job);
+  const onProgress = job => send('progress', job);
+  
+  // Current state first, so clients don't have to poll GET /jobs/:id as well
+  if (jobId) send('job', queue.get(jobId));
   
-  return results;
+  queue.events.on('job', onJob);
+  queue.events.on('progress', onProgress);
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    queue.events.off('job', onJob);
+    queue.events.off('progress', onProgress);
+  });
 }
 
 /**
- * Process a single article
+ * Queue all new articles from Notion
+ * Playlist and channel rows are expanded first (see lib/collections.js)
  */
-async function processArticle(article) {
-  console.log(`\n🎙️ Processing: ${article.url}`);
+async function enqueueNewArticles() {
+  const articles = await notion.getNewArticles();
+  console.log(`Found ${articles.length} new articles`);
   
-  try {
-    await notion.updateStatus(article.id, 'Processing');
-    
-    // Fetch article
-    const fetchedArticle = await content.fetchArticle(article.url);
-    console.log(`  Fetched: "${fetchedArticle.title}" (${fetchedArticle.wordCount} words)`);
-    
-    // Detect category
-    const category = content.detectCategory(fetchedArticle.content, fetchedArticle.title);
-    
-    // Expand if needed
-    let finalArticle = fetchedArticle;
-    if (content.needsExpansion(fetchedArticle.wordCount)) {
-      finalArticle = await content.expandContent(fetchedArticle, config.content.minWordsForPodcast);
-    }
-    
-    // Generate script
-    const script = await scriptGen.generateScript(finalArticle);
-    console.log(`  Script: ${script.segments.length} segments, ~${script.estimatedMinutes} min`);
-    
-    // Generate podcast
-    const date = new Date().toISOString().split('T')[0];
-    const slug = finalArticle.title
-      .toLowerCase()
-      .replace(/[^a-z0-9]+/g, '-')
-      .slice(0, 50);
-    
-    const outputDir = join(process.cwd(), config.output.dir);
-    const podcastPath = await tts.generatePodcast(script, outputDir, `${date}-${slug}`);
-    
-    // Upload to GitHub
-    let podcastUrl = podcastPath;
+  const queued = [];
+  for (const article of articles) {
+    const source = {
+      url: article.url,
+      notionPageId: article.id,
+      title: article.title,
+      categories: article.categories,
+    };
     try {
-      podcastUrl = await uploadToGitHub(podcastPath);
-    } catch (uploadErr) {
-      console.warn(`  ⚠️ GitHub upload failed: ${uploadErr.message}`);
-      console.warn(`  Using local path: ${podcastPath}`);
+      for (const item of await collections.expandSource(source)) {
+        queued.push(queue.enqueue(item));
+      }
+    } catch (error) {
+      await notion.markError(article.id, `Could not list playlist/channel: ${error.message}`);
     }
-    
-    // Update Notion
-    await notion.markComplete(article.id, {
-      podcastUrl,
-      category,
-      title: finalArticle.title,
-    });
-    
-    console.log(`✅ Complete: ${finalArticle.title}`);
-    
-    return {
-      success: true,
-      title: finalArticle.title,
-      url: podcastUrl,
-      duration: script.estimatedMinutes,
-    };
-    
-  } catch (error) {
-    console.error(`❌ Failed: ${error.message}`);
-    await notion.markError(article.id, error.message);
-    return { success: false, error: error.message };
   }
+  return queued;
 }
 
 /**
- * Process a URL directly (not from Notion)
+ * Queue new entries from subscribed RSS/Atom feeds
+ * Each entry is marked seen once its job is in the (persistent) queue
  */
-async function processUrl(url) {
-  console.log(`\n🎙️ Direct processing: ${url}`);
+async function enqueueFeedItems() {
+  if (config.feeds.subscriptions.length === 0) return [];
   
-  const article = await content.fetchArticle(url);
-  const category = content.detectCategory(article.content, article.title);
+  const items = await feeds.getNewFeedItems();
+  console.log(`Found ${items.length} new feed item(s)`);
   
-  let finalArticle = article;
-  if (content.needsExpansion(article.wordCount)) {
-    finalArticle = await content.expandContent(article, config.content.minWordsForPodcast);
+  return items.map(item => {
+    const job = queue.enqueue(item);
+    feeds.markSeen(item);
+    return job;
+  });
+}
+
+// The feed poll in progress, if any - overlapping polls would queue the same entries twice
+let feedPoll = null;
+
+/**
+ * Start a feed poll unless one is already running
+ * @returns {boolean} Whether feeds are being polled
+ */
+function pollFeedsInBackground() {
+  if (config.feeds.subscriptions.length === 0) return false;
+  if (!feedPoll) {
+    feedPoll = enqueueFeedItems()
+      .catch(error => console.error(`Feed poll failed: ${error.message}`))
+      .finally(() => { feedPoll = null; });
   }
+  return true;
+}
+
+/**
+ * Queue worker - runs one job through the pipeline
+ */
+async function runJob(job) {
+  const { source } = job;
+  console.log(`\n🎙️ Processing: ${source.url} (job ${job.id}, attempt ${job.attempts})`);
   
-  const script = await scriptGen.generateScript(finalArticle);
-  
-  const date = new Date().toISOString().split('T')[0];
-  const slug = finalArticle.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').slice(0, 50);
+  const events = pipeline.reportToConsole(new EventEmitter());
+  events.on('stage', ({ stage, status, overall }) => {
+    if (status === 'start') {
+      queue.progress(job.id, { stage, percent: overall });
+    } else {
+      queue.progress(job.id, { percent: overall });
+    }
+  });
+  events.on('progress', ({ stage, current, total, overall }) => {
+    queue.progress(job.id, { stage, percent: overall, segments: { current, total } });
+  });
   
-  const outputDir = join(process.cwd(), config.output.dir);
-  const podcastPath = await tts.generatePodcast(script, outputDir, `${date}-${slug}`);
+  const result = await pipeline.runPipeline(source, { events });
   
-  try {
-    const podcastUrl = await uploadToGitHub(podcastPath);
-    console.log(`✅ Complete: ${podcastUrl}`);
-    return podcastUrl;
-  } catch (err) {
-    console.log(`✅ Complete (local): ${podcastPath}`);
-    return podcastPath;
+  if (result.duplicateOf) {
+    console.log(`⏭️ Duplicate of ${result.duplicateOf.title || result.duplicateOf.urls[0]} → ${result.podcastUrl}`);
+  } else if (result.success) {
+    console.log(`✅ Complete: ${result.title} → ${result.podcastUrl}`);
+  } else {
+    console.error(`❌ Failed: ${result.error}`);
   }
+  
+  return result;
+}
+
+/**
+ * Public view of a job for API responses
+ */
+function describeJob(job) {
+  return {
+    id: job.id,
+    url: job.source.url,
+    title: job.result?.title || job.source.title || null,
+    state: job.state,
+    stage: job.progress?.stage || null,
+    percent: job.progress?.percent ?? 0,
+    segments: job.progress?.segments || null,
+    attempts: job.attempts,
+    lastError: job.lastError,
+    errors: job.errors || [],
+    retryAt: job.retryAt || null,
+    podcastUrl: job.result?.podcastUrl || null,
+    duplicateOf: job.result?.duplicateOf
+      ? { title: job.result.duplicateOf.title, reason: job.result.duplicateOf.reason }
+      : null,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+  };
 }
 
 // Start server
+queue.start();
+
+if (config.feeds.subscriptions.length > 0 && config.feeds.pollMinutes > 0) {
+  setInterval(pollFeedsInBackground, config.feeds.pollMinutes * 60 * 1000);
+}
+
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`
 🎙️ Read Later Podcast Server
@@ -234,6 +358,9 @@ app.listen(PORT, '0.0.0.0', () => {
   Webhook:  POST /webhook
   Process:  POST /process  
   Generate: POST /generate
+  Import:   POST /import
+  Jobs:     GET /jobs, GET /jobs/:id
+  Events:   GET /events, GET /jobs/:id/events (SSE)
   Status:   GET /status
   Health:   GET /health
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { pageNumber, findNextPageUrl } from '../lib/content.js';
+
+const page = (links) => `<html><head>${links.head || ''}</head><body><p>Text</p>${links.body || ''}</body></html>`;
+
+test('pageNumber reads query parameters, /page/N and a number after the slug', () => {
+  const cases = {
+    'https://example.com/story': 1,
+    'https://example.com/story?page=3': 3,
+    'https://example.com/story?pg=2': 2,
+    'https://example.com/story?pagenum=4': 4,
+    'https://example.com/story?p=3': 1,
+    'https://example.com/blog/page/5/': 5,
+    'https://example.com/2026/05/why-i-switched/2/': 2,
+    'https://example.com/why-i-switched/3': 3,
+    'https://example.com/news/123': 1,
+    'https://example.com/2026/05': 1,
+    'https://example.com/posts/12345': 1,
+  };
+  for (const [url, expected] of Object.entries(cases)) {
+    assert.equal(pageNumber(new URL(url)), expected, url);
+  }
+});
+
+test('findNextPageUrl follows WordPress /slug/N/ pages of the same post', () => {
+  const first = 'https://example.com/2026/05/why-i-switched/';
+  const html = page({
+    body: '<a href="/2026/05/another-post/">Next post</a><a href="/2026/05/why-i-switched/2/">2</a><a href="/2026/05/why-i-switched/3/">3</a>',
+  });
+  assert.equal(findNextPageUrl(html, first, first), 'https://example.com/2026/05/why-i-switched/2/');
+
+  const second = 'https://example.com/2026/05/why-i-switched/2/';
+  assert.equal(findNextPageUrl(html, second, first), 'https://example.com/2026/05/why-i-switched/3/');
+});
+
+test('findNextPageUrl prefers rel="next" and follows ?page=N', () => {
+  const first = 'https://example.com/longread';
+  assert.equal(
+    findNextPageUrl(page({ head: '<link rel="next" href="/longread?page=2">' }), first, first),
+    'https://example.com/longread?page=2'
+  );
+  assert.equal(
+    findNextPageUrl(page({ body: '<a href="?page=3">3</a><a href="?page=2">2</a>' }), first, first),
+    'https://example.com/longread?page=2'
+  );
+});
+
+test('findNextPageUrl never leaves the article', () => {
+  const first = 'https://example.com/news/123';
+  const html = page({
+    head: '<link rel="next" href="https://example.com/news/124">',
+    body: '<a href="https://other.example.com/news/123?page=2">2</a><a href="/news/124">Next story</a>',
+  });
+  assert.equal(findNextPageUrl(html, first, first), null);
+
+  const post = 'https://example.com/why-i-switched/';
+  assert.equal(findNextPageUrl(page({ body: '<a href="/other-post/2/">2</a>' }), post, post), null);
+});
@@ -0,0 +1,142 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { parseExportFile, dedupeItems, parseCsv } from '../lib/importers.js';
+import { canonicalizeUrl } from '../lib/urls.js';
+
+const fixture = (name) => new URL(`./fixtures/importers/${name}`, import.meta.url).pathname;
+
+test('parseExportFile reads a Pocket HTML export and drops non-web links', () => {
+  const { service, items } = parseExportFile(fixture('pocket.html'));
+  assert.equal(service, 'pocket');
+  assert.deepEqual(items, [
+    {
+      url: 'https://www.example.com/why-i-switched?utm_source=pocket_saves',
+      title: 'Why I Switched to Sourdough',
+      tags: ['food', 'longread'],
+      savedAt: '2023-11-14T22:13:20.000Z',
+      service: 'pocket',
+    },
+    {
+      url: 'https://news.example.org/2026/05/park-plan',
+      title: 'City Approves Park Plan',
+      tags: [],
+      savedAt: '2023-11-15T22:13:20.000Z',
+      service: 'pocket',
+    },
+    {
+      url: 'https://docs.example.dev/guide/caching',
+      title: 'Caching Guide',
+      tags: ['dev'],
+      savedAt: '2023-11-13T22:13:20.000Z',
+      service: 'pocket',
+    },
+  ]);
+});
+
+test('parseExportFile reads an Instapaper CSV with quoted fields and topic folders', () => {
+  const { service, items } = parseExportFile(fixture('instapaper.csv'));
+  assert.equal(service, 'instapaper');
+  assert.deepEqual(items.map(({ title, tags, savedAt }) => ({ title, tags, savedAt })), [
+    { title: 'Why I Switched to Sourdough, Part 1', tags: ['Cooking'], savedAt: '2023-11-14T22:15:00.000Z' },
+    { title: 'Notes on Notes', tags: ['writing', 'tools'], savedAt: '2023-11-14T22:16:40.000Z' },
+    { title: 'Old Post', tags: [], savedAt: '2023-11-14T22:18:20.000Z' },
+  ]);
+});
+
+test('parseCsv handles doubled quotes and newlines inside quoted fields', () => {
+  const rows = parseCsv('URL,Selection\r\nhttps://example.com,"He said ""never again""\r\nand left"\r\n');
+  assert.deepEqual(rows, [{ url: 'https://example.com', selection: 'He said "never again"\r\nand left' }]);
+});
+
+test('parseExportFile reads Raindrop CSV and JSON exports the same way', () => {
+  const csv = parseExportFile(fixture('raindrop.csv'));
+  const json = parseExportFile(fixture('raindrop.json'));
+  assert.equal(csv.service, 'raindrop');
+  assert.equal(json.service, 'raindrop');
+
+  const expected = [
+    { title: 'City Approves Park Plan', tags: ['city', 'parks', 'News'], savedAt: '2024-01-15T10:30:00.000Z' },
+    { title: 'Caching Guide', tags: [], savedAt: '2024-01-16T08:00:00.000Z' },
+  ];
+  assert.deepEqual(csv.items.map(({ title, tags, savedAt }) => ({ title, tags, savedAt })), [
+    expected[0],
+    { ...expected[1], tags: ['dev'] },
+  ]);
+  assert.deepEqual(json.items.map(({ title, tags, savedAt }) => ({ title, tags, savedAt })), expected);
+  assert.equal(csv.items[0].url, 'https://news.example.org/2026/05/park-plan/#comments');
+  assert.equal(json.items[0].url, 'https://news.example.org/2026/05/park-plan');
+});
+
+test('parseExportFile reads a Readwise Reader CSV', () => {
+  const { service, items } = parseExportFile(fixture('readwise.csv'));
+  assert.equal(service, 'readwise');
+  assert.deepEqual(items, [
+    {
+      url: 'https://example.com/why-i-switched',
+      title: 'Why I Switched to Sourdough',
+      tags: ['food', 'baking'],
+      savedAt: '2024-01-15T10:30:00.000Z',
+      service: 'readwise',
+    },
+    {
+      url: 'https://blog.example.net/tabs',
+      title: 'Tabs, Spaces and Other Wars',
+      tags: [],
+      savedAt: '2024-01-17T09:00:00.000Z',
+      service: 'readwise',
+    },
+  ]);
+});
+
+test('dedupeItems collapses the same article across exports and skips existing URLs', () => {
+  const all = ['pocket.html', 'instapaper.csv', 'raindrop.csv', 'readwise.csv']
+    .flatMap(name => parseExportFile(fixture(name)).items);
+  const { items, duplicates } = dedupeItems(all, ['https://blog.example.net/archived/', 'not a url']);
+
+  assert.deepEqual(items.map(item => item.canonicalUrl), [
+    'https://example.com/why-i-switched',
+    'https://news.example.org/2026/05/park-plan',
+    'https://docs.example.dev/guide/caching',
+    'https://blog.example.net/notes',
+    'https://blog.example.net/tabs',
+  ]);
+  assert.equal(duplicates, all.length - items.length);
+
+  // The first occurrence wins, with the tags of every copy merged in
+  const sourdough = items[0];
+  assert.equal(sourdough.service, 'pocket');
+  assert.equal(sourdough.title, 'Why I Switched to Sourdough');
+  assert.deepEqual(sourdough.tags, ['food', 'longread', 'Cooking', 'baking']);
+  assert.deepEqual(items[1].tags, ['city', 'parks', 'News']);
+});
+
+test('dedupeItems keeps links that differ only in ?ref=', () => {
+  const { items, duplicates } = dedupeItems([
+    { url: 'https://github.com/x/y/blob/main/f', title: 'f on main', tags: [] },
+    { url: 'https://github.com/x/y/blob/main/f?ref=dev', title: 'f on dev', tags: [] },
+    { url: 'https://github.com/x/y/blob/main/f?ref=dev&utm_source=newsletter&ref_src=twsrc', title: 'f on dev, shared', tags: [] },
+  ]);
+
+  assert.deepEqual(items.map(item => item.title), ['f on main', 'f on dev']);
+  assert.equal(items[1].canonicalUrl, 'https://github.com/x/y/blob/main/f?ref=dev');
+  assert.equal(duplicates, 1);
+  assert.equal(canonicalizeUrl('https://docs.example.dev/guide?ref=v2#install'), 'https://docs.example.dev/guide?ref=v2');
+});
+
+test('parseExportFile rejects a CSV it cannot place unless the service is given', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'importers-test-'));
+  try {
+    const path = join(dir, 'links.csv');
+    writeFileSync(path, 'title,url\nCaching Guide,https://docs.example.dev/guide/caching\n');
+    assert.throws(() => parseExportFile(path), /Unrecognized export format in links\.csv/);
+
+    const { service, items } = parseExportFile(path, { service: 'readwise' });
+    assert.equal(service, 'readwise');
+    assert.deepEqual(items.map(item => item.url), ['https://docs.example.dev/guide/caching']);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
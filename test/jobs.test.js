@@ -0,0 +1,83 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { createJobQueue } from '../lib/jobs.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'jobs-test-'));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+const logLines = (path) => readFileSync(path, 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+
+const finished = (queue) => new Promise(resolve => {
+  queue.events.on('job', job => {
+    if (job.state === 'complete' || job.state === 'failed') resolve(job);
+  });
+});
+
+test('the log keeps a result summary and writes the source only once', async () => {
+  const logPath = join(dir, 'summary.jsonl');
+  const article = { title: 'Feed article', content: 'word '.repeat(5000) };
+  const queue = createJobQueue({
+    logPath,
+    worker: async (job) => ({
+      success: true,
+      source: job.source,
+      title: 'Feed article',
+      podcastUrl: 'https://cdn.example.com/a.mp3',
+      podcastPath: '/out/a.mp3',
+      showNotesPath: '/out/a.md',
+      script: { segments: Array(200).fill({ speaker: 'HOST', text: 'Hello there.' }) },
+    }),
+  });
+  queue.start();
+  const done = finished(queue);
+  queue.enqueue({ url: 'https://example.com/a', article });
+  const job = await done;
+
+  assert.deepEqual(job.result, {
+    success: true,
+    title: 'Feed article',
+    podcastUrl: 'https://cdn.example.com/a.mp3',
+    podcastPath: '/out/a.mp3',
+    showNotesPath: '/out/a.md',
+    checkpointDir: null,
+    duplicateOf: null,
+    error: null,
+    failedStage: null,
+    rejected: false,
+  });
+
+  const lines = logLines(logPath);
+  assert.equal(lines.filter(line => line.source).length, 1);
+  assert.ok(lines.every(line => !line.result?.script));
+
+  // Reopening merges the snapshots back together
+  const reopened = createJobQueue({ logPath, worker: async () => ({ success: true }) });
+  const [restored] = reopened.list();
+  assert.equal(restored.state, 'complete');
+  assert.equal(restored.source.article.title, 'Feed article');
+});
+
+test('failed jobs wait before their retry', async () => {
+  const logPath = join(dir, 'retry.jsonl');
+  const attempts = [];
+  const queue = createJobQueue({
+    logPath,
+    maxAttempts: 2,
+    retryDelayMs: 200,
+    worker: async () => {
+      attempts.push(Date.now());
+      return attempts.length === 1 ? { success: false, error: 'HTTP 503' } : { success: true };
+    },
+  });
+  queue.start();
+  const done = finished(queue);
+  queue.enqueue({ url: 'https://example.com/flaky' });
+  const job = await done;
+
+  assert.equal(job.state, 'complete');
+  assert.equal(job.attempts, 2);
+  assert.ok(attempts[1] - attempts[0] >= 190, `retried after ${attempts[1] - attempts[0]}ms`);
+});
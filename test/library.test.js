@@ -0,0 +1,112 @@
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { config } from '../lib/config.js';
+import { contentFingerprint, fingerprintDistance, findDuplicate, recordEpisode } from '../lib/library.js';
+import { isPlausibleCanonical } from '../lib/urls.js';
+import { extractMetadata } from '../lib/metadata.js';
+import { extractReadable } from '../lib/readability.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'library-test-'));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+let run = 0;
+beforeEach(() => {
+  config.library.path = join(dir, `library-${run++}.json`);
+});
+
+// A few hundred words: SimHash only settles on texts of article length
+const ARTICLE = ['blog', 'news', 'docs']
+  .map(name => extractReadable(readFileSync(new URL(`./fixtures/readability/${name}.html`, import.meta.url), 'utf8')).text)
+  .join('\n\n');
+
+const OTHER = `A sourdough starter is nothing more than flour and water left to ferment. Wild yeasts and
+lactic acid bacteria settle in, and after a week of daily feeding you have something that can raise a loaf
+on its own, with a flavour no packet can match. The crust gets darker and crunchier, the crumb gets more open,
+and the bread keeps for four or five days on the counter because the acidity slows staling.`;
+
+test('contentFingerprint is stable, tolerant of small edits and null for short texts', () => {
+  const fingerprint = contentFingerprint(ARTICLE);
+  assert.match(fingerprint, /^[0-9a-f]{16}$/);
+  assert.equal(contentFingerprint(ARTICLE), fingerprint);
+  assert.equal(contentFingerprint(ARTICLE.toUpperCase().replace(/\n/g, '  ')), fingerprint);
+
+  const edited = `${ARTICLE.replace(/sourdough/gi, 'rye')}\n\nOriginally published by the Ledger.`;
+  assert.ok(fingerprintDistance(fingerprint, contentFingerprint(edited)) <= config.library.maxFingerprintDistance);
+  assert.ok(fingerprintDistance(fingerprint, contentFingerprint(OTHER)) > config.library.maxFingerprintDistance);
+
+  assert.equal(contentFingerprint('Too short to say anything about.'), null);
+  assert.equal(contentFingerprint(''), null);
+});
+
+test('fingerprintDistance counts differing bits', () => {
+  assert.equal(fingerprintDistance('0000000000000000', '0000000000000000'), 0);
+  assert.equal(fingerprintDistance('0000000000000000', '000000000000000f'), 4);
+  assert.equal(fingerprintDistance('ffffffffffffffff', '0000000000000000'), 64);
+});
+
+test('findDuplicate matches by canonical URL, ignoring tracking parameters', () => {
+  recordEpisode({
+    key: 'a',
+    urls: ['https://www.example.com/story/?utm_source=newsletter'],
+    fingerprint: contentFingerprint(ARTICLE),
+    title: 'Park plan',
+    podcastUrl: 'https://cdn.example.com/park.mp3',
+  });
+
+  const duplicate = findDuplicate({ key: 'b', urls: ['https://example.com/story#comments'] });
+  assert.equal(duplicate.reason, 'url');
+  assert.equal(duplicate.entry.title, 'Park plan');
+
+  assert.equal(findDuplicate({ key: 'b', urls: ['https://example.com/another-story'] }), null);
+});
+
+test('findDuplicate matches by content and skips the same source', () => {
+  recordEpisode({
+    key: 'a',
+    urls: ['https://example.com/story'],
+    fingerprint: contentFingerprint(ARTICLE),
+    title: 'Park plan',
+    podcastUrl: 'https://cdn.example.com/park.mp3',
+    notionPageId: 'row-1',
+  });
+
+  const syndicated = findDuplicate({
+    key: 'b',
+    urls: ['https://news.example.org/park'],
+    fingerprint: contentFingerprint(`${ARTICLE} Originally published by the Ledger.`),
+  });
+  assert.equal(syndicated.reason, 'content');
+
+  assert.equal(findDuplicate({ key: 'b', urls: [], fingerprint: contentFingerprint(OTHER) }), null);
+  // A rerun of the same row isn't its own duplicate
+  assert.equal(findDuplicate({ key: 'a', urls: ['https://example.com/story'], notionPageId: 'row-1' }), null);
+});
+
+test('isPlausibleCanonical rejects homepage and cross-site canonicals', () => {
+  const page = 'https://www.example.com/2026/05/park-plan';
+  assert.equal(isPlausibleCanonical('https://example.com/2026/05/park-plan', page), true);
+  assert.equal(isPlausibleCanonical('https://www.example.com/park-plan?id=4', page), true);
+  assert.equal(isPlausibleCanonical('https://example.com/2026/05/park-plan', 'https://m.example.com/2026/05/park-plan'), true);
+  assert.equal(isPlausibleCanonical('https://www.example.com/', page), false);
+  assert.equal(isPlausibleCanonical('https://example.com', page), false);
+  assert.equal(isPlausibleCanonical('https://other.example.net/park-plan', page), false);
+  assert.equal(isPlausibleCanonical('https://www.example.com/', 'https://www.example.com/'), true);
+});
+
+test('extractMetadata falls back to the page URL when the canonical points at the homepage', () => {
+  const page = 'https://blog.example.com/posts/park-plan';
+  const homepage = extractMetadata('<html><head><link rel="canonical" href="/"><meta property="og:url" content="https://blog.example.com/"></head></html>', page);
+  assert.equal(homepage.canonicalUrl, page);
+
+  const declared = extractMetadata('<html><head><link rel="canonical" href="https://blog.example.com/"><meta property="og:url" content="https://blog.example.com/p/park-plan"></head></html>', page);
+  assert.equal(declared.canonicalUrl, 'https://blog.example.com/p/park-plan');
+
+  // So two articles on such a site don't collapse into one library entry
+  recordEpisode({ key: 'a', urls: [page, homepage.canonicalUrl], title: 'Park plan', podcastUrl: 'x' });
+  const other = 'https://blog.example.com/posts/bus-fares';
+  const otherMeta = extractMetadata('<html><head><link rel="canonical" href="https://blog.example.com/"></head></html>', other);
+  assert.equal(findDuplicate({ key: 'b', urls: [other, otherMeta.canonicalUrl] }), null);
+});
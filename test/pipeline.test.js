@@ -0,0 +1,71 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { config } from '../lib/config.js';
+import { runPipeline, STAGES } from '../lib/pipeline.js';
+import { openCheckpoint } from '../lib/checkpoint.js';
+import { scriptFromSegments, writeScriptFile, readScriptFile } from '../lib/script-gen.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'pipeline-test-'));
+after(() => rmSync(dir, { recursive: true, force: true }));
+config.output.checkpointDir = join(dir, 'checkpoints');
+
+const url = 'https://example.com/why-i-switched';
+const title = 'Why I Switched to Sourdough';
+
+/**
+ * Checkpoint of a finished run, as a --script-only run after it would find it
+ */
+function renderedEpisode(script) {
+  const checkpoint = openCheckpoint({ url }, { stages: STAGES });
+  checkpoint.save('script', script);
+  const podcastPath = join(dir, 'episode.mp3');
+  writeFileSync(podcastPath, 'ID3');
+  checkpoint.set('slug', 'episode');
+  checkpoint.set('podcastPath', podcastPath);
+  checkpoint.save('audio');
+  return podcastPath;
+}
+
+test('rendering an unedited script file reuses the rendered audio', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  // As generated: cleanText leaves double spaces around "and", which a re-parse collapses
+  const generated = scriptFromSegments([
+    { speaker: 'host', text: 'Welcome back. Today: flour  and  water, and a lot of patience.', topic: 1 },
+    { speaker: 'expert', text: 'A starter needs a week of feeding before it raises anything.', topic: 1 },
+    { speaker: 'host', text: 'And why does the bread keep longer than a supermarket loaf?', topic: 2 },
+  ]);
+  const podcastPath = renderedEpisode(generated);
+
+  const file = writeScriptFile(join(dir, 'episode.md'), generated, { title, url });
+  const { script } = readScriptFile(file);
+  assert.notEqual(script.totalWords, generated.totalWords);
+
+  const result = await runPipeline({ path: file, url, title }, { script, upload: false, outputDir: dir });
+  assert.equal(result.success, true, result.error);
+  assert.equal(result.stages.script.status, 'restored');
+  assert.equal(result.stages.audio.status, 'restored');
+  assert.equal(result.podcastPath, podcastPath);
+  assert.equal(result.script.totalWords, script.totalWords);
+  assert.ok(existsSync(join(dir, 'episode.notes.md')));
+});
+
+test('an edited script file invalidates the rendered audio', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const generated = scriptFromSegments([
+    { speaker: 'host', text: 'Welcome back. Today we are talking about sourdough.' },
+    { speaker: 'expert', text: 'It all starts with flour, water and a lot of patience.' },
+  ]);
+  renderedEpisode(generated);
+
+  const edited = scriptFromSegments([
+    generated.segments[0],
+    { speaker: 'expert', text: 'It all starts with flour, water and a week of patience.' },
+  ]);
+  // Stop before TTS; the script stage running again is what drops the audio checkpoint
+  const result = await runPipeline({ url, title }, { script: edited, upload: false, outputDir: dir, stopAfter: 'script' });
+  assert.equal(result.stages.script.status, 'complete');
+  assert.equal(openCheckpoint({ url }, { stages: STAGES }).has('audio'), false);
+});
@@ -0,0 +1,93 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { config } from '../lib/config.js';
+import { extractReadable } from '../lib/readability.js';
+import { assessContent, assertQuality, measureContent } from '../lib/quality.js';
+
+const enabled = config.content.quality.enabled;
+afterEach(() => {
+  config.content.quality.enabled = enabled;
+});
+
+const page = (...paragraphs) => ({ url: 'https://example.com/story', content: paragraphs.join('\n\n') });
+
+// A teaser long enough to pass the word minimum, so only the interstitial text can reject it
+const TEASER = `The city council voted seven to two on Tuesday night to turn the old rail yard on the east side
+into a park. The plan has been argued over for most of a decade, through three mayors and two failed ballot
+measures. Supporters packed the chamber and cheered when the vote was read out. Opponents said the money would
+be better spent on housing, and promised to keep fighting the plan at the county level. Construction could start
+as early as next spring, according to the parks department.`;
+
+const SHORT_ARTICLE = page(
+  `Most bread goes stale in a day or two. Sourdough lasts four or five, and the reason is the starter. The wild
+yeasts and lactic acid bacteria in it make the dough more acidic than a loaf raised with packet yeast.`,
+  `That acidity slows the way starch crystallizes as bread cools, which is what staling actually is. It also keeps
+mould away for longer. So the loaf on the counter on Friday is still good for toast on Tuesday.`,
+  `The trade-off is time. A starter needs a week of feeding before it can raise anything, and every loaf takes a day.`
+);
+
+test('a short but real article passes', () => {
+  const result = assessContent(SHORT_ARTICLE);
+  assert.equal(result.ok, true, result.reason);
+  assert.equal(result.reason, null);
+  assert.ok(result.signals.words < config.content.quality.boilerplateMaxWords);
+  assert.deepEqual(result.signals.boilerplate, []);
+});
+
+test('a paywall is rejected', () => {
+  const result = assessContent(page(TEASER, 'Subscribe to continue reading. Already a subscriber? Sign in.'));
+  assert.equal(result.ok, false);
+  assert.match(result.reason, /^looks like a paywall \(\d+ words\)$/);
+});
+
+test('a login wall is rejected', () => {
+  const result = assessContent(page(TEASER, 'Log in to continue reading. You must be signed in to view this story.'));
+  assert.equal(result.ok, false);
+  assert.match(result.reason, /^looks like a login wall/);
+});
+
+test('a cookie wall is rejected', () => {
+  const result = assessContent(page(
+    TEASER,
+    'We use cookies to personalise content and ads. Accept all cookies or manage your privacy settings.'
+  ));
+  assert.equal(result.ok, false);
+  assert.match(result.reason, /^looks like a cookie-consent banner/);
+});
+
+test('an error page is rejected, however short', () => {
+  const result = assessContent(page('404 Page Not Found', 'The page you are looking for has moved or no longer exists.'));
+  assert.equal(result.ok, false);
+  assert.match(result.reason, /^looks like an access-denied or error page \(\d+ words\)$/);
+  assert.ok(result.signals.words < config.content.quality.minWords);
+});
+
+test('a long article that mentions cookies is not a cookie wall', () => {
+  const articles = ['blog', 'news', 'docs']
+    .map(name => extractReadable(readFileSync(new URL(`./fixtures/readability/${name}.html`, import.meta.url), 'utf8')).text);
+  const result = assessContent(page(...articles, 'Our cookie policy explains how we use cookies on this site.'));
+  assert.ok(result.signals.words >= config.content.quality.boilerplateMaxWords);
+  assert.deepEqual(result.signals.boilerplate, ['a cookie-consent banner']);
+  assert.equal(result.ok, true, result.reason);
+});
+
+test('measureContent counts short and repeated lines', () => {
+  const signals = measureContent('Home\nNews\nSport\nHome\nA full sentence about the news of the day.');
+  assert.equal(signals.sentences, 1);
+  assert.equal(signals.shortLineShare, 0.8);
+  assert.equal(signals.repeatedLineShare, 0.4);
+});
+
+test('assertQuality throws a rejected error unless the gate is disabled', () => {
+  const paywall = page(TEASER, 'Subscribe now to keep reading.');
+  assert.throws(() => assertQuality(paywall), error => {
+    assert.match(error.message, /^Page rejected: looks like a paywall/);
+    assert.equal(error.rejected, true);
+    return true;
+  });
+  assert.doesNotThrow(() => assertQuality(SHORT_ARTICLE));
+
+  config.content.quality.enabled = false;
+  assert.doesNotThrow(() => assertQuality(paywall));
+});
@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { extractReadable, formatOutline } from '../lib/readability.js';
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/readability/${name}`, import.meta.url), 'utf8');
+
+const paragraph = (sentence) => `<p>${sentence} ${'It goes on at some length, with commas, clauses and detail. '.repeat(4)}</p>`;
+
+test('blog: keeps the post body and drops cookie notice, share, related, comments and sidebar', () => {
+  const { text, blocks } = extractReadable(fixture('blog.html'));
+
+  assert.deepEqual(blocks.map(block => block.type), [
+    'paragraph', 'heading', 'paragraph', 'list', 'heading', 'paragraph', 'quote', 'paragraph',
+  ]);
+  assert.ok(text.startsWith('For ten years I baked with commercial yeast'));
+  assert.deepEqual(blocks[3], {
+    type: 'list',
+    ordered: false,
+    items: [
+      'Equal weights of flour and water',
+      'Feed once a day at room temperature',
+      'Use it when it doubles within six hours',
+    ],
+  });
+  assert.deepEqual(blocks[6], { type: 'quote', text: 'Bread is the slowest fast food there is.', cite: 'Chad Robertson' });
+  assert.equal(formatOutline(blocks), '- The starter\n- What changed');
+
+  for (const chrome of ['cookies', 'Share this', 'You might also like', 'thoughts on', 'Archives', 'All rights reserved']) {
+    assert.ok(!text.includes(chrome), `should not contain "${chrome}"`);
+  }
+});
+
+test('news: finds the story body inside a sidebar layout wrapper', () => {
+  const { text, blocks } = extractReadable(fixture('news.html'));
+
+  assert.deepEqual(blocks, [
+    { type: 'paragraph', text: 'The city council voted seven to two on Tuesday night to turn the disused rail yard along the river into a public park, ending a debate that has run for more than a decade.' },
+    { type: 'paragraph', text: 'The plan covers twelve hectares of land between the Mill Street bridge and the old freight terminal. It includes a cycle path, a playground, wetland planting to absorb flood water, and a market hall in the restored engine shed.' },
+    { type: 'heading', level: 2, text: 'Cost and timing' },
+    { type: 'paragraph', text: 'Construction is expected to start next spring and to take three years. The council put the cost at 48 million, about a third of it from a regional flood-defence grant, and said no homes would be demolished.' },
+    { type: 'paragraph', text: '"This is the biggest new green space the city has seen in fifty years," said council leader Priya Shah. "People have waited long enough."' },
+    { type: 'paragraph', text: 'The two councillors who voted against said the land should have been used for housing, and that the market hall would compete with traders in the town centre.' },
+  ]);
+  for (const chrome of ['Advertisement', 'newsletter', 'Most read', 'Share on', 'Skip to content']) {
+    assert.ok(!text.includes(chrome), `should not contain "${chrome}"`);
+  }
+});
+
+test('docs: keeps headings, code blocks with their language and ordered lists', () => {
+  const { text, blocks } = extractReadable(fixture('docs.html'));
+
+  assert.deepEqual(blocks.map(block => block.type), [
+    'heading', 'paragraph', 'heading', 'paragraph', 'code', 'list', 'heading', 'paragraph', 'code',
+  ]);
+  assert.deepEqual(blocks[0], { type: 'heading', level: 1, text: 'Configuration' });
+  assert.deepEqual(blocks[4], {
+    type: 'code',
+    language: 'toml',
+    text: '[server]\nport = 8080\nhost = "127.0.0.1"\nwatch = true',
+  });
+  assert.deepEqual(blocks[5], {
+    type: 'list',
+    ordered: true,
+    items: ['Create the file next to your package.json', 'Restart the development server'],
+  });
+  assert.equal(blocks[8].language, 'bash');
+  assert.ok(text.includes('```toml\n[server]\nport = 8080'));
+  for (const chrome of ['API reference', 'Getting started', 'Last updated']) {
+    assert.ok(!text.includes(chrome), `should not contain "${chrome}"`);
+  }
+});
+
+test('keeps an article wrapped in an ASP.NET page form', () => {
+  const html = `<html><body><form method="post" action="./story.aspx" id="aspnetForm">
+    <input type="hidden" name="__VIEWSTATE" value="abc">
+    <div class="article-body">${paragraph('The harbour reopened on Monday.')}${paragraph('Ferries resume next week.')}</div>
+    <form class="search"><input name="q"><p>Search the site</p></form>
+  </form></body></html>`;
+  const { text } = extractReadable(html);
+
+  assert.ok(text.startsWith('The harbour reopened on Monday.'));
+  assert.ok(text.includes('Ferries resume next week.'));
+  assert.ok(!text.includes('Search the site'));
+});
+
+test('keeps content whose wrappers have chrome-like classes when no known container exists', () => {
+  const html = `<html><body class="nav-open"><div class="wrapper has-sidebar">
+    <div class="col">${paragraph('First point.')}${paragraph('Second point.')}${paragraph('Third point.')}</div>
+    <div class="sidebar"><p>Popular this week: a short list of links.</p></div>
+  </div></body></html>`;
+  const { text } = extractReadable(html);
+
+  assert.ok(text.startsWith('First point.'));
+  assert.ok(text.includes('Third point.'));
+  assert.ok(!text.includes('Popular this week'));
+});
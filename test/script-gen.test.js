@@ -0,0 +1,68 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { writeScriptFile, readScriptFile } from '../lib/script-gen.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'script-test-'));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+const script = {
+  segments: [
+    { speaker: 'host', text: 'Welcome back. Today we are talking about sourdough.', topic: 1 },
+    { speaker: 'expert', text: 'It all starts with flour, water and a lot of patience.', topic: 1 },
+    { speaker: 'host', text: 'So why does the bread keep longer?', topic: 2 },
+    { speaker: 'expert', text: 'The acidity slows staling, so a loaf lasts four or five days.', topic: 2 },
+  ],
+  totalWords: 43,
+  estimatedMinutes: 0,
+};
+const meta = { title: 'Why I Switched to Sourdough', url: 'https://example.com/sourdough' };
+
+for (const ext of ['md', 'json']) {
+  test(`writeScriptFile and readScriptFile round-trip a .${ext} script`, () => {
+    const path = writeScriptFile(join(dir, 'nested', `episode.${ext}`), script, meta);
+    const read = readScriptFile(path);
+
+    assert.equal(read.title, meta.title);
+    assert.equal(read.url, meta.url);
+    assert.deepEqual(read.script.segments, script.segments);
+    assert.equal(read.script.totalWords, read.script.segments.reduce((sum, seg) => sum + seg.text.split(' ').length, 0));
+  });
+}
+
+test('readScriptFile keeps hand edits to a markdown script', () => {
+  const path = join(dir, 'edited.md');
+  writeFileSync(path, `# Edited Episode
+
+Source: https://example.com/edited
+
+[HOST] First line,
+carried on to a second line.
+
+[laughs]
+
+[EXPERT] A reply that was typed in by hand.
+`);
+  assert.deepEqual(readScriptFile(path).script.segments, [
+    { speaker: 'host', text: 'First line, carried on to a second line.' },
+    { speaker: 'expert', text: 'A reply that was typed in by hand.' },
+  ]);
+});
+
+test('readScriptFile rejects missing and malformed files', () => {
+  assert.throws(() => readScriptFile(join(dir, 'missing.md')), /ENOENT/);
+
+  const empty = join(dir, 'empty.md');
+  writeFileSync(empty, '# Title only\n\nNo speakers here.\n');
+  assert.throws(() => readScriptFile(empty), /no \[HOST\]\/\[EXPERT\] segments/);
+
+  const noSegments = join(dir, 'bad.json');
+  writeFileSync(noSegments, JSON.stringify({ title: 'x' }));
+  assert.throws(() => readScriptFile(noSegments), /no "segments" array/);
+
+  const broken = join(dir, 'broken.json');
+  writeFileSync(broken, '{ "segments": [');
+  assert.throws(() => readScriptFile(broken), SyntaxError);
+});
@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, writeFileSync, chmodSync, mkdtempSync, rmSync } from 'fs';
+import { join, delimiter } from 'path';
+import { tmpdir } from 'os';
+import { parseVtt, fetchYouTubeTranscript } from '../lib/youtube.js';
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/youtube/${name}`, import.meta.url), 'utf8');
+
+const transcript = (cues) => cues.map(cue => cue.text).join(' ');
+
+test('parseVtt keeps each line of rolling two-line auto-captions once', () => {
+  const cues = parseVtt(fixture('auto-rolling.vtt'));
+
+  assert.deepEqual(cues, [
+    { start: 0.16, text: "so today we're going to talk" },
+    { start: 2.879, text: 'about sourdough starters and why' },
+    { start: 5.52, text: 'they take a week to get going' },
+  ]);
+});
+
+test('parseVtt trims progressive cues to the words they add', () => {
+  const cues = parseVtt(fixture('auto-progressive.vtt'));
+
+  assert.deepEqual(cues, [
+    { start: 0, text: 'so today we' },
+    { start: 1.5, text: 'are going' },
+    { start: 3, text: 'to talk about' },
+    { start: 4.5, text: 'bread,' },
+    { start: 6, text: 'and the starter behind it' },
+  ]);
+  assert.equal(transcript(cues), 'so today we are going to talk about bread, and the starter behind it');
+});
+
+test('parseVtt keeps human-written captions as they are', () => {
+  const vtt = `WEBVTT
+
+00:00:01.000 --> 00:00:03.000
+Welcome back to the show.
+
+00:00:03.000 --> 00:00:05.000
+Today: bread, bread &amp; more bread.
+
+01:02:03.500 --> 01:02:05.000
+Thanks for watching.
+`;
+  assert.deepEqual(parseVtt(vtt), [
+    { start: 1, text: 'Welcome back to the show.' },
+    { start: 3, text: 'Today: bread, bread & more bread.' },
+    { start: 3723.5, text: 'Thanks for watching.' },
+  ]);
+});
+
+/**
+ * Put a stand-in yt-dlp first on PATH: --dump-json fails like a blocked or
+ * rate-limited lookup; subtitle downloads save the fixture, or fail too when
+ * `captions` is false
+ */
+function fakeYtDlp({ captions }) {
+  const dir = mkdtempSync(join(tmpdir(), 'yt-dlp-test-'));
+  const script = join(dir, 'yt-dlp');
+  writeFileSync(script, `#!/bin/sh
+case "$*" in
+  *--dump-json*) echo "ERROR: [youtube] dQw4w9WgXcQ: Sign in to confirm you're not a bot" >&2; exit 1 ;;
+esac
+${captions ? '' : 'echo "ERROR: Unable to download video subtitles" >&2; exit 1'}
+while [ $# -gt 0 ]; do
+  case "$1" in
+    --sub-langs) lang="$2"; shift ;;
+    -o) out="$2"; shift ;;
+  esac
+  shift
+done
+cp "${new URL('./fixtures/youtube/auto-rolling.vtt', import.meta.url).pathname}" "$out.$lang.vtt"
+`);
+  chmodSync(script, 0o755);
+
+  const path = process.env.PATH;
+  process.env.PATH = `${dir}${delimiter}${path}`;
+  return () => {
+    process.env.PATH = path;
+    rmSync(dir, { recursive: true, force: true });
+  };
+}
+
+test('fetchYouTubeTranscript falls back to English auto-captions when metadata fails', async (t) => {
+  t.after(fakeYtDlp({ captions: true }));
+  t.mock.method(console, 'log', () => {});
+
+  const article = await fetchYouTubeTranscript('https://youtu.be/dQw4w9WgXcQ');
+  assert.deepEqual(article.transcript, { language: 'en', kind: 'auto', translated: false });
+  assert.match(article.content, /so today we're going to talk about sourdough starters and why they take a week to get going/);
+});
+
+test('fetchYouTubeTranscript reports the metadata error when the fallback fails too', async (t) => {
+  t.after(fakeYtDlp({ captions: false }));
+  t.mock.method(console, 'log', () => {});
+
+  await assert.rejects(
+    fetchYouTubeTranscript('https://youtu.be/dQw4w9WgXcQ'),
+    /^Error: Failed to get YouTube transcript: Could not read video metadata: ERROR: \[youtube\] dQw4w9WgXcQ: Sign in to confirm you're not a bot$/
+  );
+});